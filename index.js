@@ -5,46 +5,46 @@ const fs = require('fs-extra');
 const meow = require('meow');
 const path = require('path');
 const { sprintf } = require('sprintf-js');
-const findRels = require('./src/findRels');
-const { readMap } = require('./src/mapReader');
+const { demangle, nameStyles } = require('./src/demangler');
+const { findRelPointer, readDynamicModules } = require('./src/dynamicModules');
+const { findRelById, findRels, getRels } = require('./src/findRels');
+const { mergeSections } = require('./src/mapReader');
+const { writeOutputFile } = require('./src/outputFile');
 const RecognizedError = require('./src/RecognizedError');
-const { processRel } = require('./src/relProcessor');
+const {
+  assignSectionNames,
+  readRelHeader,
+  readSectionTable,
+} = require('./src/relHeader');
+const { printRelInfo } = require('./src/relInfo');
+const { getFrameworkSymbols, getRelSymbols } = require('./src/relSymbols');
+const {
+  getRowsFromDynamicModules,
+  getRowsFromModuleList,
+  printCrossCheck,
+  printRelList,
+} = require('./src/relList');
+const {
+  crossCheckModules,
+  findRelPointerInModuleList,
+  readModuleList,
+} = require('./src/osModules');
+const { outputFormats, processRel } = require('./src/relProcessor');
+const { readRelocations } = require('./src/relocations');
+const { findSmallDataBases } = require('./src/smallData');
+const { logStatus, sendStatusToStderr } = require('./src/statusLog');
+const { exportFormats } = require('./src/symbolExport');
+const { rebuildSymbolIndex } = require('./src/symbolIndex');
+const {
+  getSymbolSources,
+  readRequiredSymbols,
+  readSymbols,
+} = require('./src/symbolSources');
+const { detectVersion } = require('./src/versions');
 
 // Used to clear most significant bit.
 const clearMsb = 0x7fffffff;
 
-// Could update to handle other versions in future
-const version = 'gc.us';
-// Array of DynamicModuleControl pointers (word). Not all indexes are actually
-// used. Each DynamicModuleControl it points to is 0x2c bytes long. This offset
-// value is version dependent.
-const c_dylink_DMC_offset = 0x3f0f50;
-// Number of words in c_dylink_DMC Array
-const DMC_length = 0x318;
-
-/**
- * Determines if the bytes starting at bufOffset in buffer are a null-terminated
- * string which is equivalent to str.
- *
- * @param {string} str Value we are looking for.
- * @param {Buffer} buffer Buffer which contains strings.
- * @param {number} bufOffset Offset in buffer which is the start of a string.
- * @returns {boolean} true if matches, else false
- */
-function strcmp(str, buffer, bufOffset) {
-  if (str.length <= 0) {
-    return false;
-  }
-
-  const len = str.length;
-  for (let i = 0; i < len; i++) {
-    if (str.charCodeAt(i) !== buffer[bufOffset + i]) {
-      return false;
-    }
-  }
-  return buffer[bufOffset + str.length] === 0;
-}
-
 /**
  * Returns a Buffer which is a subset of the RAM dump buffer. The Buffer starts
  * where the REL's data does, and it is long enough to contain any REL data we
@@ -82,10 +82,10 @@ function findRelName(relId) {
   const resultsArr = findRels(target);
 
   if (resultsArr.length > 1) {
-    console.log('\nDid you mean one of the following?\n');
+    logStatus('\nDid you mean one of the following?\n');
     resultsArr.forEach((obj) => {
       const notesText = obj.notes ? ` (${obj.notes})` : '';
-      console.log(
+      logStatus(
         `  ${sprintf('%04x', obj.id)} ${chalk.cyan(obj.name)} : ${
           obj.readable
         }${notesText}`
@@ -100,50 +100,593 @@ function findRelName(relId) {
 }
 
 /**
- * Given a REL name and the RAM dump buffer, finds the address of the REL data
- * if the REL is loaded in the RAM dump.
+ * Reads the maps of other RELs which the REL has relocations against, so that
+ * symbols in them can be named. Relocations only point to sections by index,
+ * so the section table of each of those RELs is read too, from the OS module
+ * list (a REL is only relocated against modules which are linked).
  *
+ * @param {array} symbolSources Sources from `getSymbolSources`
  * @param {Buffer} dumpBuffer Buffer of RAM dump
- * @param {string} relName Name of REL
- * @returns {number} Address of start of REL data
+ * @param {object} relocations Relocation data from `readRelocations`.
+ * @param {number} relId Module id of the REL being processed.
+ * @returns {object} Keys are module ids, and values are { name, map,
+ * sections }. `map` is null if no source has symbols for that REL.
+ * `sections` is its section table, or null if the REL is not in the module
+ * list. Its sections are named by `assignSectionNames` if `map` is not null.
  */
-function findRelPointer(dumpBuffer, relName) {
-  let dynamicModuleControlPtr = 0;
-
-  for (let i = 0; i < DMC_length; i++) {
-    const dmcPtr = dumpBuffer.readUInt32BE(c_dylink_DMC_offset + i * 4);
-    if (dmcPtr !== 0) {
-      const moduleNamePtr =
-        dumpBuffer.readUInt32BE((dmcPtr & clearMsb) + 0x1c) & clearMsb;
-      if (moduleNamePtr !== 0 && strcmp(relName, dumpBuffer, moduleNamePtr)) {
-        dynamicModuleControlPtr = dmcPtr;
-        break;
+async function readImportMaps(symbolSources, dumpBuffer, relocations, relId) {
+  const importMaps = {};
+  const linkedModules = readModuleList(dumpBuffer).modules;
+
+  for (const imp of relocations.imports) {
+    const { moduleId } = imp;
+    if (moduleId === 0 || moduleId === relId || importMaps[moduleId]) {
+      continue;
+    }
+
+    const rel = findRelById(moduleId);
+    const name = rel ? rel.name : sprintf('module_%x', moduleId);
+    const map = rel ? await readSymbols(symbolSources, name) : null;
+
+    const linked = linkedModules.find((m) => m.id === moduleId);
+    let sections = null;
+    if (linked) {
+      sections = readSectionTable(
+        getRelBuffer(dumpBuffer, linked.address),
+        linked.address
+      );
+      if (map) {
+        assignSectionNames(sections, map);
       }
     }
+
+    importMaps[moduleId] = { name, map, sections };
+  }
+
+  return importMaps;
+}
+
+/**
+ * Reads the RAM dump and determines which version of the game it is from.
+ *
+ * @param {string} input Path to RAM dump file.
+ * @returns {object} Object with `dumpBuffer` and `version`.
+ */
+function readDump(input) {
+  if (!fs.existsSync(input)) {
+    throw new RecognizedError(`RAM dump does not exist: '${input}'`);
+  }
+
+  const dumpBuffer = fs.readFileSync(input);
+  const version = detectVersion(dumpBuffer);
+  logStatus(
+    `Detected ${version.readable} (${version.gameId} rev ${version.revision})`
+  );
+
+  return { dumpBuffer, version };
+}
+
+/**
+ * Prints the header and section table of a REL.
+ *
+ * @param {array} symbolSources Sources from `getSymbolSources`
+ * @param {string} relName Name of REL
+ * @param {Buffer} relBuffer Buffer which contains the REL's data.
+ * @param {number} relPtr Address of start of REL data
+ */
+async function showRelInfo(symbolSources, relName, relBuffer, relPtr) {
+  const relMap = await readSymbols(symbolSources, relName);
+
+  const sections = readSectionTable(relBuffer, relPtr);
+  if (relMap) {
+    assignSectionNames(sections, relMap);
+  }
+
+  printRelInfo(relName, relPtr, readRelHeader(relBuffer), sections, relMap);
+}
+
+/**
+ * Disassembles a REL and writes the output file.
+ *
+ * @param {array} symbolSources Sources from `getSymbolSources`
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @param {string} relName Name of REL
+ * @param {number} relPtr Address of start of REL data
+ * @param {object} framework Data from `readFramework`
+ * @param {string} outputFile Filepath to write to, or '-' for stdout.
+ * @param {object} outputOptions Object with `format` (key of
+ * `outputFormats`), `overwrite` (what to do if the output file already
+ * exists: 'prompt', 'force', 'skip' or 'suffix') and `names` (value of
+ * `--names`).
+ * @returns {string} Path of the created file relative to the current
+ * directory, '-' if written to stdout, or null if nothing was written.
+ */
+async function disassembleRel(
+  symbolSources,
+  dumpBuffer,
+  relName,
+  relPtr,
+  framework,
+  outputFile,
+  outputOptions
+) {
+  logStatus(`Disassembling ${chalk.cyan(relName)} ...`);
+
+  const relMap = await readRequiredSymbols(symbolSources, relName);
+
+  const relBuffer = getRelBuffer(dumpBuffer, relPtr);
+  const relocations = readRelocations(dumpBuffer, relPtr);
+  relocations.warnings.forEach((warning) => {
+    console.warn(chalk.yellow(warning));
+  });
+  const importMaps = await readImportMaps(
+    symbolSources,
+    dumpBuffer,
+    relocations,
+    relBuffer.readUInt32BE(0)
+  );
+
+  const writtenFile = await processRel({
+    relBuffer,
+    relPtr,
+    relName,
+    relMap,
+    frameworkMap: framework.map,
+    frameworkSymbols: framework.symbols,
+    smallDataBases: framework.smallDataBases,
+    dumpBuffer,
+    relocations,
+    importMaps,
+    outputFile,
+    format: outputOptions.format,
+    names: outputOptions.names,
+    overwrite: outputOptions.overwrite,
+  });
+
+  return printCreatedFile(writtenFile);
+}
+
+/**
+ * Prints where an output file was written.
+ *
+ * @param {string} writtenFile Filepath which was written, '-' for stdout, or
+ * null if nothing was written.
+ * @returns {string} Path of the created file relative to the current
+ * directory, '-' if written to stdout, or null if nothing was written.
+ */
+function printCreatedFile(writtenFile) {
+  if (!writtenFile || writtenFile === '-') {
+    return writtenFile;
+  }
+
+  const outputFileName = path.basename(writtenFile);
+  // Paths outside of the current directory are clearer as absolute paths.
+  const outputDir = path.dirname(writtenFile);
+  const relativeDir = path.relative(process.cwd(), outputDir) || '.';
+  const prettyPathName = (
+    relativeDir.startsWith('..') ? outputDir : relativeDir
+  ).replace(/\\/g, '/');
+  logStatus(
+    `\nCreated file:\n\n  ${prettyPathName}/${chalk.cyan(outputFileName)}`
+  );
+  return `${prettyPathName}/${outputFileName}`;
+}
+
+/**
+ * Determines where to write an output file for a REL.
+ *
+ * @param {object} version Version of the game the RAM dump is from.
+ * @param {string} fileName Name of the file in the default location (Ex:
+ * 'd_a_midna-disassembled.txt').
+ * @param {string} output Value of `-o`: a filepath, a directory, '-' for
+ * stdout, or undefined for the default location in this directory.
+ * @param {boolean} isBatch true if writing files for more than one REL, in
+ * which case `output` is always treated as a directory.
+ * @returns {string} Filepath to write to, or '-' for stdout.
+ */
+function getOutputFile(version, fileName, output, isBatch) {
+  if (output === '-') {
+    return '-';
+  } else if (!output) {
+    return path.join(__dirname, 'output', version.name, fileName);
+  } else if (
+    isBatch ||
+    (fs.existsSync(output) && fs.statSync(output).isDirectory())
+  ) {
+    return path.resolve(output, fileName);
   }
+  return path.resolve(output);
+}
+
+/**
+ * Returns the default name of the disassembly file of a REL.
+ *
+ * @param {string} relName Name of REL
+ * @param {string} format Key of `outputFormats`
+ * @returns {string} Filename (Ex: 'd_a_midna-disassembled.txt')
+ */
+function getDisassemblyFileName(relName, format) {
+  return `${relName}-disassembled${outputFormats[format].extension}`;
+}
 
-  if (dynamicModuleControlPtr === 0) {
+/**
+ * Writes a script which imports a REL and its symbols into another tool.
+ *
+ * @param {object} version Version of the game the RAM dump is from.
+ * @param {array} symbolSources Sources from `getSymbolSources`
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @param {string} relName Name of REL
+ * @param {number} relPtr Address of start of REL data
+ * @param {string} exportFormat Key of `exportFormats`
+ * @param {string} output Value of `-o`, or undefined for the default location.
+ * @param {string} overwrite What to do if the output file already exists:
+ * 'prompt', 'force', 'skip' or 'suffix'.
+ */
+async function exportSymbols(
+  version,
+  symbolSources,
+  dumpBuffer,
+  relName,
+  relPtr,
+  exportFormat,
+  output,
+  overwrite
+) {
+  const format = exportFormats[exportFormat];
+  if (!format) {
+    const formatList = Object.keys(exportFormats).join(', ');
     throw new RecognizedError(
-      `Did not find DynamicModuleControl for '${relName}'.`
+      exportFormat
+        ? `Invalid export '${exportFormat}'. Must be one of: ${formatList}`
+        : `Pass --to with one of: ${formatList}`
     );
   }
 
-  const relPtr = dumpBuffer.readUInt32BE(
-    (dynamicModuleControlPtr & clearMsb) + 0x10
+  const relMap = await readRequiredSymbols(symbolSources, relName);
+  const frameworkMap = await readRequiredSymbols(symbolSources, 'frameworkF');
+
+  const relBuffer = getRelBuffer(dumpBuffer, relPtr);
+  const sections = readSectionTable(relBuffer, relPtr);
+  assignSectionNames(sections, relMap);
+
+  const data = {
+    relName,
+    relPtr,
+    sections: sections
+      .filter((section) => section.length > 0)
+      .map((section) => {
+        const offset = section.address - relPtr;
+        return {
+          name: `${relName}${section.name || `.sect${section.index}`}`,
+          address: section.address,
+          length: section.length,
+          executable: section.executable,
+          bss: section.bss,
+          bytes: section.bss
+            ? null
+            : relBuffer.slice(offset, offset + section.length),
+        };
+      }),
+    symbols: getRelSymbols(sections, relMap).concat(
+      getFrameworkSymbols(frameworkMap)
+    ),
+  };
+
+  const writtenFile = await writeOutputFile(
+    getOutputFile(version, `${relName}${format.extension}`, output, false),
+    overwrite,
+    (stream) => {
+      format.write(stream, data);
+    }
   );
+  printCreatedFile(writtenFile);
+}
+
+/**
+ * Reads what is needed from the main executable for disassembling any REL:
+ * frameworkF.map and the bases of the small data areas.
+ *
+ * @param {object} version Version of the game the RAM dump is from.
+ * @param {array} symbolSources Sources from `getSymbolSources`
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @returns {object} Object with `map` (symbols from all sections of
+ * frameworkF.map), `symbols` (from `getFrameworkSymbols`) and
+ * `smallDataBases` (from `findSmallDataBases`).
+ */
+async function readFramework(version, symbolSources, dumpBuffer) {
+  const frameworkMap = await readRequiredSymbols(symbolSources, 'frameworkF');
+  const map = mergeSections(frameworkMap);
+  const smallDataBases = findSmallDataBases(version, dumpBuffer, map);
+  smallDataBases.warnings.forEach((warning) => {
+    console.warn(chalk.yellow(warning));
+  });
+  return { map, symbols: getFrameworkSymbols(frameworkMap), smallDataBases };
+}
 
-  if (relPtr === 0) {
-    throw new RecognizedError(`REL '${relName}' is not loaded in RAM dump.`);
+/**
+ * Finds every REL which is loaded in the RAM dump.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @param {object} version Version of the game the RAM dump is from.
+ * @param {string} discovery 'auto', 'dmc' or 'os'
+ * @returns {object} Keys are REL names, and values are addresses of the REL
+ * data.
+ */
+function findLoadedRels(dumpBuffer, version, discovery) {
+  const loadedRels = {};
+
+  const useDmc =
+    discovery === 'dmc' || (discovery === 'auto' && version.dmcOffset != null);
+
+  if (useDmc) {
+    readDynamicModules(dumpBuffer, version).forEach((dm) => {
+      if (dm.module !== 0) {
+        loadedRels[dm.name] = dm.module;
+      }
+    });
+  } else {
+    readModuleList(dumpBuffer).modules.forEach((m) => {
+      if (m.name) {
+        loadedRels[m.name] = m.address;
+      }
+    });
   }
 
-  return relPtr;
+  return loadedRels;
 }
 
+/**
+ * Disassembles every loaded REL, optionally only from one category, and
+ * prints a summary of the results. A failure for one REL does not stop the
+ * others from being processed.
+ *
+ * @param {object} version Version of the game the RAM dump is from.
+ * @param {array} symbolSources Sources from `getSymbolSources`
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @param {string} discovery 'auto', 'dmc' or 'os'
+ * @param {string} category 'amem', 'mmem', 'rels', or null for all RELs.
+ * @param {string} output Directory to write to, '-' for stdout, or undefined
+ * for the default location.
+ * @param {object} outputOptions Object with `format`, `overwrite` and
+ * `names`. See `disassembleRel`.
+ */
+async function disassembleAllRels(
+  version,
+  symbolSources,
+  dumpBuffer,
+  discovery,
+  category,
+  output,
+  outputOptions
+) {
+  if (category && !relCategories.includes(category)) {
+    throw new RecognizedError(
+      `Invalid category '${category}'. Expected one of: ${relCategories.join(
+        ', '
+      )}`
+    );
+  }
+
+  const framework = await readFramework(version, symbolSources, dumpBuffer);
+  const loadedRels = findLoadedRels(dumpBuffer, version, discovery);
+
+  const results = [];
+  for (const rel of getRels(category)) {
+    const relPtr = loadedRels[rel.name];
+    if (!relPtr) {
+      results.push({
+        name: rel.name,
+        status: 'skipped',
+        details: 'not loaded',
+      });
+      continue;
+    }
+
+    try {
+      const outputPath = await disassembleRel(
+        symbolSources,
+        dumpBuffer,
+        rel.name,
+        relPtr,
+        framework,
+        getOutputFile(
+          version,
+          getDisassemblyFileName(rel.name, outputOptions.format),
+          output,
+          true
+        ),
+        outputOptions
+      );
+      results.push({
+        name: rel.name,
+        status: outputPath ? 'written' : 'not written',
+        details: outputPath === '-' ? '(stdout)' : outputPath || '',
+      });
+    } catch (e) {
+      console.error(chalk.red(e.message));
+      results.push({
+        name: rel.name,
+        status: 'failed',
+        details: e.message.split('\n')[0],
+      });
+    }
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  logStatus(
+    `\nSummary: ${count('written')} written, ${count(
+      'not written'
+    )} not written, ${count('failed')} failed, ${count(
+      'skipped'
+    )} skipped (not loaded)\n`
+  );
+
+  const nameWidth = Math.max(4, ...results.map((r) => r.name.length));
+  results.forEach((r) => {
+    const statusText = sprintf('%-11s', r.status);
+    logStatus(
+      sprintf(
+        `  %-${nameWidth}s  %s  %s`,
+        r.name,
+        r.status === 'failed' ? chalk.red(statusText) : statusText,
+        r.details
+      )
+    );
+  });
+}
+
+/**
+ * Finds the address of a REL's data using the requested discovery strategy.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @param {string} relName Name of REL
+ * @param {object} version Version of the game the RAM dump is from.
+ * @param {string} discovery 'dmc' to use the c_dylink DMC array, 'os' to use
+ * the OS module list, or 'auto' to use the DMC array if its location is known
+ * for the version.
+ * @returns {number} Address of start of REL data
+ */
+function locateRel(dumpBuffer, relName, version, discovery) {
+  if (discovery === 'dmc') {
+    return findRelPointer(dumpBuffer, relName, version);
+  } else if (discovery === 'os') {
+    return findRelPointerInModuleList(dumpBuffer, relName);
+  } else if (discovery === 'auto') {
+    if (version.dmcOffset != null) {
+      return findRelPointer(dumpBuffer, relName, version);
+    }
+    logStatus('DMC array location unknown, using OS module list.');
+    return findRelPointerInModuleList(dumpBuffer, relName);
+  }
+  throw new RecognizedError(
+    `Invalid discovery '${discovery}'. Expected one of: auto, dmc, os`
+  );
+}
+
+/**
+ * Prints the RELs which are loaded in the RAM dump. If both discovery
+ * strategies are available, the results are cross-checked.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @param {object} version Version of the game the RAM dump is from.
+ * @param {string} discovery 'auto', 'dmc' or 'os'
+ * @param {string} sortBy 'address' or 'id'
+ */
+function listRels(dumpBuffer, version, discovery, sortBy) {
+  const moduleList = readModuleList(dumpBuffer);
+  moduleList.warnings.forEach((warning) => {
+    console.warn(chalk.yellow(warning));
+  });
+
+  const useDmc =
+    discovery === 'dmc' || (discovery === 'auto' && version.dmcOffset != null);
+
+  if (!useDmc) {
+    printRelList(
+      getRowsFromModuleList(moduleList.modules),
+      sortBy,
+      'from OS module list'
+    );
+    return;
+  }
+
+  const dynamicModules = readDynamicModules(dumpBuffer, version);
+  printRelList(
+    getRowsFromDynamicModules(dynamicModules, dumpBuffer),
+    sortBy,
+    `of ${dynamicModules.length} DynamicModuleControls`
+  );
+  printCrossCheck(crossCheckModules(dynamicModules, moduleList.modules));
+}
+
+/**
+ * Determines what to do when an output file already exists from the
+ * overwrite flags.
+ *
+ * @param {object} flags Flags from the command line.
+ * @returns {string} 'prompt', 'force', 'skip' or 'suffix'
+ */
+function getOverwritePolicy(flags) {
+  const policies = [];
+  if (flags.force) {
+    policies.push('force');
+  }
+  if (flags.clobber === false) {
+    policies.push('skip');
+  }
+  if (flags.suffix) {
+    policies.push('suffix');
+  }
+
+  if (policies.length > 1) {
+    throw new RecognizedError(
+      'Only one of --force, --no-clobber and --suffix can be used.'
+    );
+  }
+  return policies.length > 0 ? policies[0] : 'prompt';
+}
+
+/**
+ * Rebuilds the cache of parsed map files for a version.
+ *
+ * @param {object} version Version of the game.
+ */
+async function rebuildIndex(version) {
+  logStatus(`Indexing map files for ${chalk.cyan(version.mapDir)} ...`);
+  const numMaps = await rebuildSymbolIndex(version);
+  if (numMaps === 0) {
+    throw new RecognizedError(
+      `No map files found for ${version.mapDir}.\nDid you add them according to the README?`
+    );
+  }
+  logStatus(chalk.green(`Indexed ${numMaps} map files.`));
+}
+
+/**
+ * Prints the demangled form of each name.
+ *
+ * @param {array} names Mangled names (Ex: ['setAnm__9daMidna_cFif']).
+ */
+function demangleNames(names) {
+  if (names.length === 0) {
+    throw new RecognizedError(
+      'Pass the names to demangle (ex: demangle setAnm__9daMidna_cFif).'
+    );
+  }
+  names.forEach((name) => {
+    const demangled = demangle(name);
+    if (demangled) {
+      console.log(demangled);
+    } else {
+      console.log(`${name} ${chalk.yellow('(not mangled)')}`);
+    }
+  });
+}
+
+const commands = ['disassemble', 'demangle', 'export', 'index', 'info', 'list'];
+// Commands which do not operate on a single REL.
+const commandsWithoutRel = ['demangle', 'index', 'list'];
+// Commands which do not read a RAM dump.
+const commandsWithoutDump = ['demangle'];
+const relCategories = ['amem', 'mmem', 'rels'];
+
 async function main() {
   const cli = meow(
     `
   Usage
-    $ node index.js -i <ram_dump.raw> -r <rel_identifier>
+    $ node index.js [command] -i <ram_dump.raw> -r <rel_identifier>
+
+
+  Commands
+    disassemble   Disassemble the REL into a file (default).
+    info          Print every field of the REL's header and its section table.
+    list          Print every REL which is loaded in the RAM dump.
+    export        Write a file which imports the REL's symbols from its map
+                  and frameworkF.map into another tool (see --to).
+    index         Rebuild the cache of parsed map files for the RAM dump's
+                  version. It is otherwise updated when a map file changes.
+    demangle      Print the demangled form of each name which follows it
+                  (ex: demangle setAnm__9daMidna_cFif). No -i needed.
 
 
   Options
@@ -151,54 +694,189 @@ async function main() {
     -r, --rel-id  rel identifier which can be one of the following:
                     - hex id (ex: 3a, 0x96)
                     - name (ex: d_a_midna, e_rd)
-                    - approximate name (ex: zant, lv5)`,
+                    - approximate name (ex: zant, lv5)
+    --sort        How to sort the output of 'list': address (default) or id.
+    --discovery   How to find loaded RELs:
+                    - auto (default): DMC array if its location is known
+                      for the version, else OS module list
+                    - dmc: c_dylink DMC array
+                    - os: OS module list
+    --all         Disassemble every loaded REL instead of using -r.
+    --category    Like --all, but only RELs in a category: amem, mmem or rels.
+    --force       Overwrite output files which already exist.
+    --no-clobber  Skip RELs whose output file already exists.
+    --suffix      Write to a new numbered file if the output file already
+                  exists (ex: d_a_midna-disassembled.2.txt).
+    -o, --output  Where to write the disassembly instead of ./output:
+                    - a file, or a directory when using --all or --category
+                    - '-' to write to stdout. Messages go to stderr.
+    --format      Format of the disassembly:
+                    - text (default)
+                    - json: structured data for other tools
+                    - gas: assembly file for GNU as (devkitPPC)
+                    - html: page with links which works offline
+                    - cfg: control-flow graph of each function (DOT)
+                    - callgraph: calls between functions (DOT)
+                    - xrefs: callers, callees and branches (JSON)
+    --names       How to show symbol names in the text, html, cfg and
+                  callgraph formats: mangled (default), demangled or both.
+    --symbols     Also read symbols from a decomp project's config
+                  directory (ex: config/GZ2E01, with symbols.txt and
+                  splits.txt) or a symbol map saved by Dolphin. Can be
+                  passed more than once. Sources passed first win when
+                  they name the same address, and the map files come last.
+    --no-cache    Parse the map files every time instead of reading and
+                  writing the cache in map/<version>/index.
+    --to          What 'export' writes:
+                    - ghidra: Ghidra Python script
+                    - ida: IDAPython script
+                    - dolphin: symbol map for Dolphin's debugger`,
     {
       flags: {
-        input: { type: 'string', isRequired: true, alias: 'i' },
-        relId: { type: 'string', isRequired: true, alias: 'r' },
+        input: {
+          type: 'string',
+          isRequired: (flags, input) => !commandsWithoutDump.includes(input[0]),
+          alias: 'i',
+        },
+        relId: {
+          type: 'string',
+          isRequired: (flags, input) =>
+            !commandsWithoutRel.includes(input[0]) &&
+            !flags.all &&
+            !flags.category,
+          alias: 'r',
+        },
+        sort: { type: 'string', default: 'address' },
+        discovery: { type: 'string', default: 'auto' },
+        all: { type: 'boolean', default: false },
+        category: { type: 'string' },
+        force: { type: 'boolean', default: false },
+        clobber: { type: 'boolean', default: true },
+        suffix: { type: 'boolean', default: false },
+        output: { type: 'string', alias: 'o' },
+        format: { type: 'string', default: 'text' },
+        to: { type: 'string' },
+        names: { type: 'string', default: 'mangled' },
+        symbols: { type: 'string', isMultiple: true, default: [] },
+        cache: { type: 'boolean', default: true },
       },
     }
   );
 
-  const { input, relId } = cli.flags;
+  const command = cli.input[0] || 'disassemble';
+  if (!commands.includes(command)) {
+    throw new RecognizedError(
+      `Unknown command '${command}'. Expected one of: ${commands.join(', ')}`
+    );
+  }
 
-  console.log(`Determining REL ...`);
-  const relName = findRelName(relId);
-  console.log(`Disassembling ${chalk.cyan(relName)} ...`);
+  if (command === 'demangle') {
+    demangleNames(cli.input.slice(1));
+    return;
+  }
 
-  if (!fs.existsSync(input)) {
-    throw new RecognizedError(`RAM dump does not exist: '${input}'`);
+  const { input, relId, output, format, names } = cli.flags;
+
+  if (!outputFormats[format]) {
+    throw new RecognizedError(
+      `Invalid format '${format}'. Expected one of: ${Object.keys(
+        outputFormats
+      ).join(', ')}`
+    );
+  }
+  if (!nameStyles.includes(names)) {
+    throw new RecognizedError(
+      `Invalid --names '${names}'. Expected one of: ${nameStyles.join(', ')}`
+    );
+  }
+  if (names !== 'mangled' && !outputFormats[format].showsNames) {
+    throw new RecognizedError(
+      `--names ${names} cannot be used with --format ${format}, which needs the names from the map files.`
+    );
   }
+  const outputOptions = {
+    format,
+    overwrite: getOverwritePolicy(cli.flags),
+    names,
+  };
 
-  const dumpBuffer = fs.readFileSync(input);
-  // Could add logic to determine TP version by reading start of buffer
+  // Keep stdout clean for the disassembly so it can be piped.
+  if (output === '-') {
+    sendStatusToStderr();
+  }
 
-  const frameworkMap = await readMap(
-    path.join(__dirname, `map/${version}/frameworkF.map`)
-  );
-  const relMap = await readMap(
-    path.join(__dirname, `map/${version}/${relName}.map`)
-  );
+  if (command === 'index') {
+    if (!cli.flags.cache) {
+      throw new RecognizedError('--no-cache cannot be used with index.');
+    }
+    const { version } = readDump(input);
+    await rebuildIndex(version);
+    return;
+  }
 
-  const relPtr = findRelPointer(dumpBuffer, relName);
-  const relBuffer = getRelBuffer(dumpBuffer, relPtr);
+  if (command === 'list') {
+    const { dumpBuffer, version } = readDump(input);
+    listRels(dumpBuffer, version, cli.flags.discovery, cli.flags.sort);
+    return;
+  }
 
-  const partialPath = path.join('output', version);
-  const outputFileName = `${relName}-disassembled.txt`;
+  if (command === 'disassemble' && (cli.flags.all || cli.flags.category)) {
+    const { dumpBuffer, version } = readDump(input);
+    await disassembleAllRels(
+      version,
+      getSymbolSources(version, cli.flags.symbols, cli.flags.cache),
+      dumpBuffer,
+      cli.flags.discovery,
+      cli.flags.category,
+      output,
+      outputOptions
+    );
+    return;
+  }
 
-  const wroteFile = await processRel(
-    relBuffer,
-    relPtr,
-    relName,
-    relMap,
-    frameworkMap,
-    path.join(__dirname, partialPath, outputFileName)
+  logStatus(`Determining REL ...`);
+  const relName = findRelName(relId);
+
+  const { dumpBuffer, version } = readDump(input);
+  const relPtr = locateRel(dumpBuffer, relName, version, cli.flags.discovery);
+  const symbolSources = getSymbolSources(
+    version,
+    cli.flags.symbols,
+    cli.flags.cache
   );
 
-  if (wroteFile) {
-    const prettyPathName = partialPath.replace('\\', '/');
-    console.log(
-      `\nCreated file:\n\n  ${prettyPathName}/${chalk.cyan(outputFileName)}`
+  if (command === 'export') {
+    await exportSymbols(
+      version,
+      symbolSources,
+      dumpBuffer,
+      relName,
+      relPtr,
+      cli.flags.to,
+      output,
+      outputOptions.overwrite
+    );
+  } else if (command === 'info') {
+    await showRelInfo(
+      symbolSources,
+      relName,
+      getRelBuffer(dumpBuffer, relPtr),
+      relPtr
+    );
+  } else {
+    await disassembleRel(
+      symbolSources,
+      dumpBuffer,
+      relName,
+      relPtr,
+      await readFramework(version, symbolSources, dumpBuffer),
+      getOutputFile(
+        version,
+        getDisassemblyFileName(relName, format),
+        output,
+        false
+      ),
+      outputOptions
     );
   }
 }
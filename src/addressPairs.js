@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Finds addresses which are built from two instructions: a `lis` which loads
+ * the high half into a register, followed by an instruction which adds the low
+ * half (Ex: `lis r3, 0x803b` then `addi r3, r3, 0x1234` or
+ * `lwz r4, 0x1234 (r3)`). Accesses relative to registers which always hold
+ * the same address (r13 and r2) are found too.
+ */
+
+// D-form loads and stores, keyed by primary opcode. `update` forms also write
+// the address back to rA, and `gprDest` is false when rD is not written (a
+// store, or a float register). `multiple` writes every register from rD to
+// r31.
+const loadStoreOpcodes = {
+  32: { update: false, gprDest: true }, // lwz
+  33: { update: true, gprDest: true }, // lwzu
+  34: { update: false, gprDest: true }, // lbz
+  35: { update: true, gprDest: true }, // lbzu
+  36: { update: false, gprDest: false }, // stw
+  37: { update: true, gprDest: false }, // stwu
+  38: { update: false, gprDest: false }, // stb
+  39: { update: true, gprDest: false }, // stbu
+  40: { update: false, gprDest: true }, // lhz
+  41: { update: true, gprDest: true }, // lhzu
+  42: { update: false, gprDest: true }, // lha
+  43: { update: true, gprDest: true }, // lhau
+  44: { update: false, gprDest: false }, // sth
+  45: { update: true, gprDest: false }, // sthu
+  46: { update: false, gprDest: true, multiple: true }, // lmw
+  47: { update: false, gprDest: false }, // stmw
+  48: { update: false, gprDest: false }, // lfs
+  49: { update: true, gprDest: false }, // lfsu
+  50: { update: false, gprDest: false }, // lfd
+  51: { update: true, gprDest: false }, // lfdu
+  52: { update: false, gprDest: false }, // stfs
+  53: { update: true, gprDest: false }, // stfsu
+  54: { update: false, gprDest: false }, // stfd
+  55: { update: true, gprDest: false }, // stfdu
+};
+
+const OPCODE_ADDI = 14;
+const OPCODE_ADDIS = 15;
+const OPCODE_ORI = 24;
+const OPCODE_BRANCH = 18;
+
+// Opcodes which never write a general purpose register: conditional branch,
+// system call, branch, CR ops / bclr / bcctr, paired singles, and float
+// arithmetic.
+const noGprWriteOpcodes = [4, 16, 17, 18, 19, 59, 63];
+
+// Registers which a called function may change.
+const volatileGprs = [0, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+/**
+ * Converts a 16-bit immediate to a signed number.
+ *
+ * @param {number} value 16-bit immediate.
+ * @returns {number} Signed value.
+ */
+function toSigned16(value) {
+  return value & 0x8000 ? value - 0x10000 : value;
+}
+
+/**
+ * Finds the address built by each instruction which uses the low half of an
+ * address whose high half was loaded by a `lis`. Registers are only tracked
+ * in a straight line: anything known is forgotten at every branch target.
+ *
+ * @param {array} instructions Instructions of one function, in order. Each is
+ * an object with `word` and `label` (set if something branches to it).
+ * @param {object} baseRegisters Registers which hold a known address for the
+ * whole function, keyed by register number. Uses of them are resolved too.
+ * @returns {array} For each instruction, the address it builds or accesses,
+ * or null.
+ */
+function resolveAddressPairs(instructions, baseRegisters = {}) {
+  // Keys are register numbers, and values are the high half they hold,
+  // already shifted into place.
+  let highHalves = {};
+
+  return instructions.map((instruction) => {
+    const { word } = instruction;
+    const opcode = word >>> 26;
+    const rD = (word >>> 21) & 0x1f;
+    const rA = (word >>> 16) & 0x1f;
+    const imm = word & 0xffff;
+
+    if (instruction.label) {
+      highHalves = {};
+    }
+
+    const getBase = (register) => {
+      if (highHalves[register] != null) {
+        return highHalves[register];
+      }
+      return baseRegisters[register] != null ? baseRegisters[register] : null;
+    };
+
+    if (opcode === OPCODE_ADDIS && rA === 0) {
+      highHalves[rD] = (imm << 16) >>> 0;
+      return null;
+    }
+
+    if (opcode === OPCODE_ADDI || opcode === OPCODE_ORI) {
+      // addi writes rD, ori writes rA and reads rS (in the rD field).
+      const source = opcode === OPCODE_ADDI ? rA : rD;
+      const dest = opcode === OPCODE_ADDI ? rD : rA;
+      const base =
+        source !== 0 || opcode === OPCODE_ORI ? getBase(source) : null;
+      delete highHalves[dest];
+      if (base == null) {
+        return null;
+      }
+      return opcode === OPCODE_ADDI
+        ? (base + toSigned16(imm)) >>> 0
+        : (base | imm) >>> 0;
+    }
+
+    const loadStore = loadStoreOpcodes[opcode];
+    if (loadStore) {
+      const base = rA !== 0 ? getBase(rA) : null;
+      if (loadStore.gprDest) {
+        const last = loadStore.multiple ? 31 : rD;
+        for (let register = rD; register <= last; register++) {
+          delete highHalves[register];
+        }
+      }
+      if (loadStore.update) {
+        delete highHalves[rA];
+      }
+      return base == null ? null : (base + toSigned16(imm)) >>> 0;
+    }
+
+    if (opcode === OPCODE_BRANCH && word & 1) {
+      volatileGprs.forEach((register) => delete highHalves[register]);
+    } else if (!noGprWriteOpcodes.includes(opcode)) {
+      // Without decoding every instruction, assume either register field may
+      // have been written.
+      delete highHalves[rD];
+      delete highHalves[rA];
+    }
+    return null;
+  });
+}
+
+module.exports = {
+  resolveAddressPairs,
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Writes the cross-reference index of a REL (see `buildXrefs`) on its own: as
+ * a Graphviz DOT call graph, or as JSON.
+ */
+
+const { sprintf } = require('sprintf-js');
+const { quoteDot } = require('./cfgWriter');
+
+// Increase when a change could break existing readers of the JSON.
+const formatVersion = 1;
+
+/**
+ * Returns the id of the node of a function.
+ *
+ * @param {number} address Address of the function.
+ * @returns {string} Node id (Ex: 'f_805000d4')
+ */
+function getNodeId(address) {
+  return sprintf('f_%08x', address);
+}
+
+/**
+ * Builds the label of a function's node: its name above its address.
+ *
+ * @param {string} name Name of the function.
+ * @param {number} address Address of the function.
+ * @returns {string} DOT string of the label.
+ */
+function formatNodeLabel(name, address) {
+  return quoteDot(sprintf('%s\n%08x', name, address)).replace(/\n/g, '\\n');
+}
+
+/**
+ * Writes the call graph of a REL as DOT. Functions in the REL are boxes, and
+ * functions outside of it are dashed ellipses. Tail calls are dashed edges,
+ * and edges for more than one call are labeled with the number of calls.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} model Data from `buildRelModel`
+ */
+function writeCallGraph(stream, model) {
+  const { functions, external } = model.xrefs;
+
+  stream.write(`digraph ${quoteDot(`${model.name} calls`)} {\n`);
+  stream.write('  rankdir=LR;\n');
+  stream.write('  node [shape=box, fontname="monospace", fontsize=10];\n');
+
+  functions.forEach((fn) => {
+    stream.write(
+      sprintf(
+        '  %s [label=%s];\n',
+        getNodeId(fn.address),
+        formatNodeLabel(fn.name, fn.address)
+      )
+    );
+  });
+  external.forEach((target) => {
+    stream.write(
+      sprintf(
+        '  %s [label=%s, shape=ellipse, style=dashed];\n',
+        getNodeId(target.address),
+        formatNodeLabel(target.name || 'UNKNOWN', target.address)
+      )
+    );
+  });
+
+  functions.forEach((fn) => {
+    // Keys are `target:kind`, and values are the number of calls.
+    const edges = new Map();
+    fn.calls.forEach((call) => {
+      const key = `${call.target}:${call.kind}`;
+      edges.set(key, (edges.get(key) || 0) + 1);
+    });
+    edges.forEach((count, key) => {
+      const [target, kind] = key.split(':');
+      const attributes = [];
+      if (kind === 'tail') {
+        attributes.push('style=dashed');
+      }
+      if (count > 1) {
+        attributes.push(`label=${quoteDot(`${count}x`)}`);
+      }
+      stream.write(
+        sprintf(
+          '  %s -> %s%s;\n',
+          getNodeId(fn.address),
+          getNodeId(Number(target)),
+          attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''
+        )
+      );
+    });
+  });
+
+  stream.write('}\n');
+}
+
+/**
+ * Writes the cross-reference index of a REL as JSON.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} model Data from `buildRelModel`
+ */
+function writeXrefsJson(stream, model) {
+  const document = {
+    formatVersion,
+    module: {
+      name: model.name,
+      id: model.id,
+      address: model.address,
+    },
+    functions: model.xrefs.functions,
+    external: model.xrefs.external,
+  };
+
+  stream.write(JSON.stringify(document, null, 2));
+  stream.write('\n');
+}
+
+module.exports = {
+  writeCallGraph,
+  writeXrefsJson,
+};
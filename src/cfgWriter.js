@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * Writes the control-flow graph of every function in a REL as Graphviz DOT.
+ * Each function is its own graph in the same file, so
+ * `dot -Tsvg -O file.dot` renders one image per function.
+ */
+
+const { sprintf } = require('sprintf-js');
+const { buildBasicBlocks } = require('./controlFlow');
+const { formatInstruction } = require('./textWriter');
+
+// Colors of edges by kind.
+const edgeColors = {
+  jump: 'blue',
+  taken: 'darkgreen',
+  fallthrough: 'red',
+  case: 'purple',
+};
+
+/**
+ * Quotes text as a DOT string.
+ *
+ * @param {string} text Text to quote.
+ * @returns {string} Quoted text.
+ */
+function quoteDot(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Returns the id of the node of a block.
+ *
+ * @param {number} address Address of the start of the block.
+ * @returns {string} Node id (Ex: 'b_805000d4')
+ */
+function getNodeId(address) {
+  return sprintf('b_%08x', address);
+}
+
+/**
+ * Builds the label of a block: its instructions, one per line and left
+ * aligned.
+ *
+ * @param {object} block Block from `buildBasicBlocks`
+ * @returns {string} DOT string of the label.
+ */
+function formatBlockLabel(block) {
+  const lines = [];
+  const first = block.instructions[0];
+  if (first.label) {
+    lines.push(`${first.label}:`);
+  }
+  block.instructions.forEach((instruction) => {
+    const text = formatInstruction(instruction).replace(/\s+/g, ' ').trim();
+    lines.push(sprintf('%08x  %s', instruction.address, text));
+  });
+  if (block.exits === 'indirect') {
+    lines.push('(indirect jump)');
+  }
+
+  // `\l` ends a left aligned line, so is added after escaping.
+  const quoted = quoteDot(lines.join('\n'));
+  return quoted.replace(/\n/g, '\\l').replace(/"$/, '\\l"');
+}
+
+/**
+ * Writes the graph of one function.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} fn Function from `buildRelModel`
+ */
+function writeFunctionGraph(stream, fn) {
+  const name = fn.name || sprintf('fn_%08x', fn.address);
+  const blocks = buildBasicBlocks(fn);
+
+  stream.write(`digraph ${quoteDot(name)} {\n`);
+  stream.write(
+    `  label=${quoteDot(sprintf('%s (%08x)', name, fn.address))};\n`
+  );
+  stream.write('  labelloc=t;\n');
+  stream.write('  node [shape=box, fontname="monospace", fontsize=10];\n');
+
+  // Keys are targets outside of the function (Ex: tail calls), and values
+  // are their names.
+  const externals = new Map();
+  blocks.forEach((block) => {
+    stream.write(
+      sprintf(
+        '  %s [label=%s];\n',
+        getNodeId(block.address),
+        formatBlockLabel(block)
+      )
+    );
+    const last = block.instructions[block.instructions.length - 1];
+    block.edges
+      .filter((edge) => edge.external && !externals.get(edge.target))
+      .forEach((edge) => {
+        const isBranch = edge.target === last.branchTarget;
+        externals.set(edge.target, (isBranch && last.symbol) || null);
+      });
+  });
+
+  externals.forEach((symbol, target) => {
+    stream.write(
+      sprintf(
+        '  %s [label=%s, shape=ellipse, style=dashed];\n',
+        getNodeId(target),
+        quoteDot(symbol || sprintf('%08x', target))
+      )
+    );
+  });
+
+  blocks.forEach((block) => {
+    block.edges.forEach((edge) => {
+      const attributes = [`color=${edgeColors[edge.kind]}`];
+      if (edge.values) {
+        attributes.push(`label=${quoteDot(`case ${edge.values.join(', ')}`)}`);
+      }
+      stream.write(
+        sprintf(
+          '  %s -> %s [%s];\n',
+          getNodeId(block.address),
+          getNodeId(edge.target),
+          attributes.join(', ')
+        )
+      );
+    });
+  });
+
+  stream.write('}\n');
+}
+
+/**
+ * Writes the control-flow graphs of a REL as DOT.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} model Data from `buildRelModel`
+ */
+function writeCfg(stream, model) {
+  stream.write(
+    `// Control-flow graphs of ${model.name}.rel, one graph per function.\n`
+  );
+  stream.write('// Render with: dot -Tsvg -O <this file>\n');
+  model.sections
+    .filter((section) => section.type === 'text')
+    .forEach((section) => {
+      section.functions.forEach((fn) => {
+        stream.write('\n');
+        writeFunctionGraph(stream, fn);
+      });
+    });
+}
+
+module.exports = {
+  quoteDot,
+  writeCfg,
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Splits functions into basic blocks and finds the edges between them. A block
+ * starts at the start of the function, at every label (anything branches to
+ * it, see `populateBranchDestinations`), and after every branch which is not a
+ * call.
+ */
+
+/**
+ * Describes where a branch instruction can go. Calls (`bl`, `bctrl`, ...) are
+ * not branches here, since they come back to the next instruction.
+ *
+ * @param {object} instruction Instruction from `buildRelModel`
+ * @returns {string} One of:
+ * - 'none': Not a branch.
+ * - 'jump': Always goes to `branchTarget`.
+ * - 'conditional': Goes to `branchTarget` or the next instruction.
+ * - 'return': Returns from the function (`blr`).
+ * - 'conditionalReturn': Returns or goes to the next instruction.
+ * - 'switch': Goes to one of the cases of `jumpTable`.
+ * - 'indirect': Goes somewhere only known at runtime (`bctr` without a
+ *   jump table).
+ * - 'conditionalIndirect': Goes somewhere only known at runtime or to the next
+ *   instruction (Ex: `bnectr`).
+ */
+function getBranchKind(instruction) {
+  const { word } = instruction;
+  const opcode = word >>> 26;
+  const isCall = (word & 1) === 1;
+  // BO with both "ignore condition" and "ignore counter" set.
+  const isAlways = ((word >>> 21) & 0x14) === 0x14;
+  const xo = (word >>> 1) & 0x3ff;
+
+  if (isCall) {
+    return 'none';
+  }
+  if (opcode === 18) {
+    return 'jump';
+  }
+  if (opcode === 16) {
+    return isAlways ? 'jump' : 'conditional';
+  }
+  if (opcode === 19 && xo === 16) {
+    return isAlways ? 'return' : 'conditionalReturn';
+  }
+  if (opcode === 19 && xo === 528) {
+    if (!isAlways) {
+      return 'conditionalIndirect';
+    }
+    return instruction.jumpTable ? 'switch' : 'indirect';
+  }
+  return 'none';
+}
+
+/**
+ * Splits a function into basic blocks.
+ *
+ * @param {object} fn Function from `buildRelModel`
+ * @returns {array} List of { address, instructions, edges, exits } in address
+ * order. `edges` is a list of { kind, target, external, values }:
+ * - `kind` is 'jump', 'taken' (conditional branch), 'fallthrough' or 'case'.
+ * - `target` is the address of the block it goes to.
+ * - `external` is true if the target is outside of the function (Ex: a tail
+ *   call), in which case it is not the start of a block in the list.
+ * - `values` is the list of case values for 'case' edges.
+ * `exits` is 'return' or 'indirect' if the block leaves the function that
+ * way, otherwise null.
+ */
+function buildBasicBlocks(fn) {
+  const { instructions } = fn;
+  if (instructions.length === 0) {
+    return [];
+  }
+
+  const start = instructions[0].address;
+  const end = start + instructions.length * 4;
+  const isInFunction = (address) =>
+    address >= start && address < end && address % 4 === 0;
+
+  // Addresses where a block starts.
+  const leaders = new Set([start]);
+  instructions.forEach((instruction) => {
+    if (instruction.label) {
+      leaders.add(instruction.address);
+    }
+    const kind = getBranchKind(instruction);
+    if (kind !== 'none') {
+      leaders.add(instruction.address + 4);
+    }
+    if (kind === 'jump' || kind === 'conditional') {
+      if (isInFunction(instruction.branchTarget)) {
+        leaders.add(instruction.branchTarget);
+      }
+    } else if (kind === 'switch') {
+      instruction.jumpTable.cases.forEach(({ target }) => {
+        if (isInFunction(target)) {
+          leaders.add(target);
+        }
+      });
+    }
+  });
+
+  const blocks = [];
+  let block = null;
+  instructions.forEach((instruction) => {
+    if (leaders.has(instruction.address)) {
+      block = {
+        address: instruction.address,
+        instructions: [],
+        edges: [],
+        exits: null,
+      };
+      blocks.push(block);
+    }
+    block.instructions.push(instruction);
+  });
+
+  blocks.forEach((b) => {
+    const last = b.instructions[b.instructions.length - 1];
+    const next = last.address + 4;
+    const addEdge = (kind, target, values) => {
+      b.edges.push({
+        kind,
+        target,
+        external: !isInFunction(target),
+        values: values || null,
+      });
+    };
+
+    const kind = getBranchKind(last);
+    if (kind === 'jump') {
+      addEdge('jump', last.branchTarget);
+    } else if (kind === 'conditional') {
+      addEdge('taken', last.branchTarget);
+      addEdge('fallthrough', next);
+    } else if (kind === 'return' || kind === 'indirect') {
+      b.exits = kind;
+    } else if (kind === 'conditionalReturn') {
+      b.exits = 'return';
+      addEdge('fallthrough', next);
+    } else if (kind === 'conditionalIndirect') {
+      b.exits = 'indirect';
+      addEdge('fallthrough', next);
+    } else if (kind === 'switch') {
+      const targets = new Map();
+      last.jumpTable.cases.forEach(({ value, target }) => {
+        if (!targets.has(target)) {
+          targets.set(target, []);
+        }
+        targets.get(target).push(value);
+      });
+      targets.forEach((values, target) => addEdge('case', target, values));
+    } else if (isInFunction(next)) {
+      addEdge('fallthrough', next);
+    }
+  });
+
+  return blocks;
+}
+
+module.exports = {
+  buildBasicBlocks,
+  getBranchKind,
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Reads the symbols.txt and splits.txt files which decompilation projects
+ * keep for the main executable and each REL (Ex: config/GZ2E01/symbols.txt
+ * and config/GZ2E01/rels/d_a_midna/symbols.txt), in the same shape as
+ * `readMap`.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Returns the directory with the symbols.txt and splits.txt of the main
+ * executable or of a REL.
+ *
+ * @param {string} configDir Config directory of the version (Ex:
+ * 'config/GZ2E01').
+ * @param {string} mapName 'frameworkF' for the main executable, or the name
+ * of a REL (Ex: 'd_a_midna').
+ * @returns {string} Path of the directory.
+ */
+function getDecompDir(configDir, mapName) {
+  return mapName === 'frameworkF'
+    ? configDir
+    : path.join(configDir, 'rels', mapName);
+}
+
+/**
+ * Reads the symbols of the main executable or of a REL.
+ *
+ * @param {string} configDir Config directory of the version (Ex:
+ * 'config/GZ2E01').
+ * @param {string} mapName 'frameworkF' for the main executable, or the name
+ * of a REL (Ex: 'd_a_midna').
+ * @returns {object} Object with `sections`, `symbols` and `memoryMap` like
+ * `readMap`, or null if there is no symbols.txt. Sections are in the order
+ * of splits.txt, which is the order of the section table. Addresses in REL sections
+ * are offsets, as in REL maps. Labels are left out, since the map files do
+ * not have them either. `object` of each symbol is from splits.txt, or null
+ * if there is no splits.txt. `memoryMap` is always empty.
+ */
+function readDecompSymbols(configDir, mapName) {
+  const dir = getDecompDir(configDir, mapName);
+  const symbolsPath = path.join(dir, 'symbols.txt');
+  if (!fs.existsSync(symbolsPath)) {
+    return null;
+  }
+
+  const splitsPath = path.join(dir, 'splits.txt');
+  const splits = fs.existsSync(splitsPath)
+    ? parseSplits(fs.readFileSync(splitsPath, 'utf8'))
+    : { sectionNames: [], objects: [] };
+
+  const sections = {};
+  splits.sectionNames.forEach((name) => {
+    sections[name] = {};
+  });
+  const symbols = [];
+
+  // Keys are section names, and values are the parts of the section which
+  // each object file covers, sorted by start.
+  const objectsBySection = {};
+  splits.objects.forEach((split) => {
+    if (!objectsBySection[split.section]) {
+      objectsBySection[split.section] = [];
+    }
+    objectsBySection[split.section].push(split);
+  });
+  Object.values(objectsBySection).forEach((list) => {
+    list.sort((a, b) => a.start - b.start);
+  });
+
+  fs.readFileSync(symbolsPath, 'utf8')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const symbol = parseSymbolLine(line);
+      if (!symbol || symbol.attributes.type === 'label') {
+        return;
+      }
+      if (!sections[symbol.section]) {
+        sections[symbol.section] = {};
+      }
+      sections[symbol.section][symbol.address] = symbol.name;
+
+      const split = findSplit(
+        objectsBySection[symbol.section] || [],
+        symbol.address
+      );
+      symbols.push({
+        section: symbol.section,
+        address: symbol.address,
+        size: symbol.attributes.size ? Number(symbol.attributes.size) : 0,
+        name: symbol.name,
+        object: split ? split.object : null,
+      });
+    });
+
+  return { sections, symbols, memoryMap: [] };
+}
+
+/**
+ * Finds the object file which covers an address.
+ *
+ * @param {array} splits Parts of one section from `parseSplits`, sorted by
+ * start.
+ * @param {number} address Address in the section.
+ * @returns {object} Part which contains the address, or null if none do.
+ */
+function findSplit(splits, address) {
+  let low = 0;
+  let high = splits.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (address < splits[mid].start) {
+      high = mid - 1;
+    } else if (address >= splits[mid].end) {
+      low = mid + 1;
+    } else {
+      return splits[mid];
+    }
+  }
+  return null;
+}
+
+/**
+ * Pulls out the name, section, address and attributes from a line of
+ * symbols.txt (Ex: 'daMidna_Create__FPv = .text:0x00000000; // type:function
+ * size:0x34').
+ *
+ * @param {string} line Line from symbols.txt.
+ * @returns {object} Object with `name`, `section`, `address` and
+ * `attributes` (keys and values of the comment, Ex: { type: 'function',
+ * size: '0x34' }), or null if the line is not a symbol.
+ */
+function parseSymbolLine(line) {
+  const match = line.match(
+    /^\s*("[^"]*"|\S+)\s*=\s*([^\s:]+):(0x[0-9A-Fa-f]+);(?:\s*\/\/(.*))?/
+  );
+  if (!match) {
+    return null;
+  }
+
+  const attributes = {};
+  (match[4] || '')
+    .trim()
+    .split(/\s+/)
+    .forEach((attribute) => {
+      const colonIndex = attribute.indexOf(':');
+      if (colonIndex > 0) {
+        attributes[attribute.substring(0, colonIndex)] = attribute.substring(
+          colonIndex + 1
+        );
+      }
+    });
+
+  return {
+    name: match[1].replace(/^"(.*)"$/, '$1'),
+    section: match[2],
+    address: Number(match[3]),
+    attributes,
+  };
+}
+
+/**
+ * Parses splits.txt, which lists the sections in order and which part of
+ * each section every object file covers.
+ *
+ * @param {string} text Contents of splits.txt.
+ * @returns {object} Object with `sectionNames` (in order) and `objects`
+ * (list of { object, section, start, end }).
+ */
+function parseSplits(text) {
+  const sectionNames = [];
+  const objects = [];
+  // 'Sections' while in the list of sections, otherwise the current object.
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line) => {
+    if (!line.trim() || line.trim().startsWith('//')) {
+      return;
+    }
+
+    const headerMatch = line.match(/^(\S.*?):(\s|$)/);
+    if (headerMatch) {
+      current = headerMatch[1];
+      return;
+    }
+
+    const entryMatch = line.match(/^\s+(\S+)\s*(.*)/);
+    if (!entryMatch || !current) {
+      return;
+    }
+    if (current === 'Sections') {
+      sectionNames.push(entryMatch[1]);
+      return;
+    }
+
+    const start = entryMatch[2].match(/start:(0x[0-9A-Fa-f]+)/);
+    const end = entryMatch[2].match(/end:(0x[0-9A-Fa-f]+)/);
+    if (start && end) {
+      objects.push({
+        object: current,
+        section: entryMatch[1],
+        start: Number(start[1]),
+        end: Number(end[1]),
+      });
+    }
+  });
+
+  return { sectionNames, objects };
+}
+
+module.exports = {
+  readDecompSymbols,
+};
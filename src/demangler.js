@@ -0,0 +1,484 @@
+'use strict';
+
+/**
+ * Demangles symbol names from CodeWarrior (MWCC), which uses a scheme based on
+ * the cfront/ARM one (Ex: 'setAnm__9daMidna_cFif' is
+ * 'daMidna_c::setAnm(int, float)').
+ */
+
+// Names which the mangled name of a special function starts with.
+const operatorNames = {
+  __nw: 'operator new',
+  __dl: 'operator delete',
+  __nwa: 'operator new[]',
+  __dla: 'operator delete[]',
+  __pl: 'operator+',
+  __mi: 'operator-',
+  __ml: 'operator*',
+  __dv: 'operator/',
+  __md: 'operator%',
+  __er: 'operator^',
+  __ad: 'operator&',
+  __or: 'operator|',
+  __co: 'operator~',
+  __nt: 'operator!',
+  __as: 'operator=',
+  __lt: 'operator<',
+  __gt: 'operator>',
+  __apl: 'operator+=',
+  __ami: 'operator-=',
+  __amu: 'operator*=',
+  __adv: 'operator/=',
+  __amd: 'operator%=',
+  __aer: 'operator^=',
+  __aad: 'operator&=',
+  __aor: 'operator|=',
+  __ls: 'operator<<',
+  __rs: 'operator>>',
+  __ars: 'operator>>=',
+  __als: 'operator<<=',
+  __eq: 'operator==',
+  __ne: 'operator!=',
+  __le: 'operator<=',
+  __ge: 'operator>=',
+  __aa: 'operator&&',
+  __oo: 'operator||',
+  __pp: 'operator++',
+  __mm: 'operator--',
+  __cm: 'operator,',
+  __rm: 'operator->*',
+  __rf: 'operator->',
+  __cl: 'operator()',
+  __vc: 'operator[]',
+};
+
+// Names of objects which the compiler generates for a class.
+const specialObjectNames = ['__vt', '__RTTI'];
+
+// Keys are the codes of builtin types.
+const builtinTypes = {
+  v: 'void',
+  b: 'bool',
+  c: 'char',
+  s: 'short',
+  i: 'int',
+  l: 'long',
+  x: 'long long',
+  f: 'float',
+  d: 'double',
+  r: 'long double',
+  w: 'wchar_t',
+  e: '...',
+};
+
+// Keys are the codes which can follow 'U' (unsigned) or 'S' (signed).
+const signedTypes = {
+  c: 'char',
+  s: 'short',
+  i: 'int',
+  l: 'long',
+  x: 'long long',
+};
+
+/**
+ * Thrown while parsing when a name is not mangled the way it was assumed to
+ * be. Never leaves this file.
+ */
+class ParseError extends Error {}
+
+/**
+ * Makes a type which is a plain name (Ex: 'int', 'const cXyz').
+ *
+ * @param {string} base Name of the type.
+ * @returns {object} Type, whose `render` places a declarator after the name.
+ */
+function namedType(base) {
+  return {
+    base,
+    render: (inner) => {
+      if (!inner) {
+        return base;
+      }
+      return /^[*&[]/.test(inner) ? `${base}${inner}` : `${base} ${inner}`;
+    },
+  };
+}
+
+/**
+ * Reads the mangled types in a string, keeping track of where it is.
+ */
+class Parser {
+  /**
+   * @param {string} text Mangled text.
+   */
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  /**
+   * @returns {boolean} true if everything has been read.
+   */
+  atEnd() {
+    return this.pos >= this.text.length;
+  }
+
+  /**
+   * @returns {string} The next character, without reading it.
+   */
+  peek() {
+    return this.text[this.pos];
+  }
+
+  /**
+   * @returns {string} The next character.
+   */
+  next() {
+    if (this.atEnd()) {
+      throw new ParseError('Unexpected end');
+    }
+    return this.text[this.pos++];
+  }
+
+  /**
+   * Reads a decimal number.
+   *
+   * @returns {number} Number which was read.
+   */
+  readNumber() {
+    const match = this.text.substring(this.pos).match(/^\d+/);
+    if (!match) {
+      throw new ParseError('Expected a number');
+    }
+    this.pos += match[0].length;
+    return Number(match[0]);
+  }
+
+  /**
+   * Reads a class name, which is its length followed by the name, and may
+   * include template arguments (Ex: '8TVec3<f>').
+   *
+   * @returns {string} Demangled name (Ex: 'TVec3<float>').
+   */
+  readSourceName() {
+    const length = this.readNumber();
+    if (length === 0 || this.pos + length > this.text.length) {
+      throw new ParseError('Bad name length');
+    }
+    const name = this.text.substr(this.pos, length);
+    this.pos += length;
+    return demangleTemplateName(name);
+  }
+
+  /**
+   * Reads a class name, which is either a single name or 'Q' with the number
+   * of names it is nested in (Ex: 'Q29JGeometry8TVec3<f>').
+   *
+   * @returns {array} Names from outermost to innermost.
+   */
+  readQualifiedName() {
+    if (this.peek() === 'Q') {
+      this.next();
+      const count = Number(this.next());
+      if (!(count > 0)) {
+        throw new ParseError('Bad qualified name');
+      }
+      const names = [];
+      for (let i = 0; i < count; i++) {
+        names.push(this.readSourceName());
+      }
+      return names;
+    }
+    return [this.readSourceName()];
+  }
+
+  /**
+   * Reads a type.
+   *
+   * @returns {object} Type, see `namedType`.
+   */
+  readType() {
+    const code = this.next();
+
+    if (code === 'C' || code === 'V') {
+      const qualifier = code === 'C' ? 'const' : 'volatile';
+      const type = this.readType();
+      if (type.base != null) {
+        return namedType(`${qualifier} ${type.base}`);
+      }
+      return {
+        render: (inner) => type.render(` ${qualifier}${inner || ''}`),
+      };
+    }
+    if (code === 'P' || code === 'R') {
+      const type = this.readType();
+      const symbol = code === 'P' ? '*' : '&';
+      return { render: (inner) => type.render(`${symbol}${inner || ''}`) };
+    }
+    if (code === 'U' || code === 'S') {
+      const name = signedTypes[this.next()];
+      if (!name) {
+        throw new ParseError('Bad signed type');
+      }
+      return namedType(`${code === 'U' ? 'unsigned' : 'signed'} ${name}`);
+    }
+    if (builtinTypes[code]) {
+      return namedType(builtinTypes[code]);
+    }
+    if (/\d/.test(code) || code === 'Q') {
+      this.pos--;
+      return namedType(this.readQualifiedName().join('::'));
+    }
+    if (code === 'F') {
+      const args = this.readArguments();
+      this.expect('_');
+      const returnType = this.readType();
+      return {
+        render: (inner) =>
+          inner
+            ? `${returnType.render('')} (${inner})(${args})`
+            : `${returnType.render('')} (${args})`,
+      };
+    }
+    if (code === 'A') {
+      const size = this.readNumber();
+      this.expect('_');
+      const type = this.readType();
+      // A pointer or reference to the array needs parentheses (Ex:
+      // 'float (*)[3]'), but the dimensions of nested arrays go one after
+      // the other (Ex: 'float (*)[3][4]').
+      return {
+        render: (inner) =>
+          type.render(
+            !inner || /^[[(]/.test(inner)
+              ? `${inner || ''}[${size}]`
+              : `(${inner})[${size}]`
+          ),
+      };
+    }
+    if (code === 'M') {
+      const className = this.readQualifiedName().join('::');
+      const type = this.readType();
+      return {
+        render: (inner) => type.render(`${className}::*${inner || ''}`),
+      };
+    }
+
+    throw new ParseError(`Unknown type '${code}'`);
+  }
+
+  /**
+   * Reads a character which must be next.
+   *
+   * @param {string} char Character which is expected.
+   */
+  expect(char) {
+    if (this.next() !== char) {
+      throw new ParseError(`Expected '${char}'`);
+    }
+  }
+
+  /**
+   * Reads the argument types of a function, until the end of the text or a
+   * '_' (the return type of a function type).
+   *
+   * @returns {string} Arguments separated by commas (Ex: 'int, float'), or an
+   * empty string for no arguments.
+   */
+  readArguments() {
+    const args = [];
+    while (!this.atEnd() && this.peek() !== '_') {
+      args.push(this.readType().render(''));
+    }
+    if (args.length === 0) {
+      throw new ParseError('Missing arguments');
+    }
+    return args.length === 1 && args[0] === 'void' ? '' : args.join(', ');
+  }
+}
+
+/**
+ * Splits the template arguments of a name at the commas which are not inside
+ * nested template arguments.
+ *
+ * @param {string} text Text between the outermost '<' and '>'.
+ * @returns {array} Mangled arguments.
+ */
+function splitTemplateArguments(text) {
+  const args = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '<') {
+      depth++;
+    } else if (text[i] === '>') {
+      depth--;
+    } else if (text[i] === ',' && depth === 0) {
+      args.push(text.substring(start, i));
+      start = i + 1;
+    }
+  }
+  args.push(text.substring(start));
+  return args;
+}
+
+/**
+ * Demangles the template arguments in a name (Ex: 'TVec3<f>' to
+ * 'TVec3<float>'). Arguments which are not types, such as numbers, are kept.
+ *
+ * @param {string} name Name which may have template arguments.
+ * @returns {string} Name with demangled template arguments.
+ */
+function demangleTemplateName(name) {
+  const start = name.indexOf('<');
+  if (start < 0 || !name.endsWith('>')) {
+    return name;
+  }
+  const args = splitTemplateArguments(
+    name.substring(start + 1, name.length - 1)
+  ).map((arg) => {
+    if (/^-?\d+$/.test(arg)) {
+      return arg;
+    }
+    try {
+      const parser = new Parser(arg);
+      const type = parser.readType();
+      return parser.atEnd() ? type.render('') : arg;
+    } catch (e) {
+      if (e instanceof ParseError) {
+        return arg;
+      }
+      throw e;
+    }
+  });
+  return `${name.substring(0, start)}<${args.join(', ')}>`;
+}
+
+/**
+ * Demangles a name, assuming the mangled part starts at `separator` (the
+ * index of the '__' after the function or variable name).
+ *
+ * @param {string} name Mangled name.
+ * @param {number} separator Index of '__'.
+ * @returns {string} Demangled name. Throws a ParseError if the name does not
+ * parse this way.
+ */
+function demangleAt(name, separator) {
+  const baseName = name.substring(0, separator);
+  const parser = new Parser(name.substring(separator + 2));
+
+  let classNames = [];
+  if (/[\dQ]/.test(parser.peek())) {
+    classNames = parser.readQualifiedName();
+  }
+
+  let isConst = false;
+  let args = null;
+  if (!parser.atEnd()) {
+    if (parser.peek() === 'C') {
+      parser.next();
+      isConst = true;
+    }
+    parser.expect('F');
+    args = parser.readArguments();
+    // Template functions also have their return type.
+    if (!parser.atEnd()) {
+      parser.expect('_');
+      parser.readType();
+    }
+    if (!parser.atEnd()) {
+      throw new ParseError('Unexpected text after arguments');
+    }
+  } else if (classNames.length === 0) {
+    throw new ParseError('Nothing after separator');
+  }
+
+  const className = classNames[classNames.length - 1];
+  const plainClassName = className ? className.replace(/<.*$/, '') : null;
+
+  let displayName;
+  if (baseName === '__ct' && className) {
+    displayName = plainClassName;
+  } else if (baseName === '__dt' && className) {
+    displayName = `~${plainClassName}`;
+  } else if (baseName.startsWith('__op')) {
+    const typeParser = new Parser(baseName.substring(4));
+    const type = typeParser.readType();
+    if (!typeParser.atEnd()) {
+      throw new ParseError('Bad conversion operator');
+    }
+    displayName = `operator ${type.render('')}`;
+  } else if (specialObjectNames.includes(baseName) && className) {
+    displayName = baseName;
+  } else if (operatorNames[baseName]) {
+    displayName = operatorNames[baseName];
+  } else if (baseName.startsWith('__') || baseName === '') {
+    throw new ParseError('Unknown special name');
+  } else {
+    displayName = demangleTemplateName(baseName);
+  }
+
+  const qualified = [...classNames, displayName].join('::');
+  if (args == null) {
+    return qualified;
+  }
+  return `${qualified}(${args})${isConst ? ' const' : ''}`;
+}
+
+/**
+ * Demangles a CodeWarrior symbol name.
+ *
+ * @param {string} name Symbol name (Ex: 'get_pla__FP10fopAc_ac_c').
+ * @returns {string} Demangled name (Ex: 'get_pla(fopAc_ac_c*)'), or null if
+ * the name is not mangled (Ex: '@1234', 'main').
+ */
+function demangle(name) {
+  if (!name || name.startsWith('@')) {
+    return null;
+  }
+
+  // Special functions start with '__' (Ex: '__ct__9daMidna_cFv'), so their
+  // separator is after that.
+  for (
+    let separator = name.indexOf('__', name.startsWith('__') ? 2 : 1);
+    separator > 0;
+    separator = name.indexOf('__', separator + 1)
+  ) {
+    try {
+      return demangleAt(name, separator);
+    } catch (e) {
+      if (!(e instanceof ParseError)) {
+        throw e;
+      }
+    }
+  }
+  return null;
+}
+
+// Values of `--names`.
+const nameStyles = ['mangled', 'demangled', 'both'];
+
+/**
+ * Formats a symbol name in a style.
+ *
+ * @param {string} name Symbol name, which may be mangled.
+ * @param {string} style 'mangled', 'demangled' or 'both'.
+ * @returns {string} Name to show. Names which are not mangled are always
+ * shown as-is.
+ */
+function formatName(name, style) {
+  if (style === 'mangled' || !name) {
+    return name;
+  }
+  const demangled = demangle(name);
+  if (!demangled) {
+    return name;
+  }
+  return style === 'both' ? `${demangled} [${name}]` : demangled;
+}
+
+module.exports = {
+  demangle,
+  formatName,
+  nameStyles,
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * Reads the DynamicModuleControl for each REL from the c_dylink DMC array in a
+ * RAM dump.
+ */
+
+const RecognizedError = require('./RecognizedError');
+
+// Used to clear most significant bit.
+const clearMsb = 0x7fffffff;
+
+/**
+ * Reads a null-terminated string from a buffer.
+ *
+ * @param {Buffer} buffer Buffer which contains strings.
+ * @param {number} bufOffset Offset in buffer which is the start of a string.
+ * @param {number} maxLength Maximum number of characters to read.
+ * @returns {string} String which was read.
+ */
+function readString(buffer, bufOffset, maxLength = 0x100) {
+  let end = bufOffset;
+  while (
+    end < buffer.length &&
+    end - bufOffset < maxLength &&
+    buffer[end] !== 0
+  ) {
+    end++;
+  }
+  return buffer.toString('latin1', bufOffset, end);
+}
+
+/**
+ * Determines the state of a module from its DynamicModuleControl.
+ *
+ * @param {number} module Address of the REL data, or 0.
+ * @param {number} doLinkCount Number of times the REL was actually linked.
+ * @returns {string} 'unloaded', 'loaded' or 'linked'
+ */
+function getState(module, doLinkCount) {
+  if (module === 0) {
+    return 'unloaded';
+  }
+  return doLinkCount > 0 ? 'linked' : 'loaded';
+}
+
+/**
+ * Walks the c_dylink DMC array and reads every DynamicModuleControl in it.
+ * Multiple indexes of the array can point to the same DynamicModuleControl, in
+ * which case it is only included once.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @param {object} version Version of the game the RAM dump is from.
+ * @returns {array} List of { index, dmcPtr, name, module, bss, size,
+ * linkCount, doLinkCount, state } in array order. `index` is the first index
+ * of the array which pointed to the DynamicModuleControl, and `module` is the
+ * address of the REL data (0 if not loaded).
+ */
+function readDynamicModules(dumpBuffer, version) {
+  const { dmcOffset, dmcLength, dmcFields } = version;
+  if (dmcOffset == null || dmcLength == null) {
+    throw new RecognizedError(
+      `Location of c_dylink DMC array is not known for ${version.readable} (${version.gameId}).`
+    );
+  }
+
+  const seen = new Set();
+  const dynamicModules = [];
+
+  for (let i = 0; i < dmcLength; i++) {
+    const dmcPtr = dumpBuffer.readUInt32BE(dmcOffset + i * 4);
+    if (dmcPtr === 0 || seen.has(dmcPtr)) {
+      continue;
+    }
+    seen.add(dmcPtr);
+
+    const dmcOffsetInDump = dmcPtr & clearMsb;
+    const moduleNamePtr =
+      dumpBuffer.readUInt32BE(dmcOffsetInDump + dmcFields.name) & clearMsb;
+    const module = dumpBuffer.readUInt32BE(dmcOffsetInDump + dmcFields.module);
+    const doLinkCount = dumpBuffer.readUInt16BE(
+      dmcOffsetInDump + dmcFields.doLinkCount
+    );
+
+    dynamicModules.push({
+      index: i,
+      dmcPtr,
+      name: moduleNamePtr !== 0 ? readString(dumpBuffer, moduleNamePtr) : '',
+      module,
+      bss: dumpBuffer.readUInt32BE(dmcOffsetInDump + dmcFields.bss),
+      size: dumpBuffer.readUInt32BE(dmcOffsetInDump + dmcFields.size),
+      linkCount: dumpBuffer.readUInt16BE(dmcOffsetInDump + dmcFields.linkCount),
+      doLinkCount,
+      state: getState(module, doLinkCount),
+    });
+  }
+
+  return dynamicModules;
+}
+
+/**
+ * Given a REL name and the RAM dump buffer, finds the address of the REL data
+ * if the REL is loaded in the RAM dump.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @param {string} relName Name of REL
+ * @param {object} version Version of the game the RAM dump is from.
+ * @returns {number} Address of start of REL data
+ */
+function findRelPointer(dumpBuffer, relName, version) {
+  const dynamicModule = readDynamicModules(dumpBuffer, version).find(
+    (dm) => dm.name === relName
+  );
+
+  if (!dynamicModule) {
+    throw new RecognizedError(
+      `Did not find DynamicModuleControl for '${relName}'.`
+    );
+  }
+
+  if (dynamicModule.module === 0) {
+    throw new RecognizedError(`REL '${relName}' is not loaded in RAM dump.`);
+  }
+
+  return dynamicModule.module;
+}
+
+module.exports = {
+  findRelPointer,
+  readDynamicModules,
+  readString,
+};
@@ -839,4 +839,47 @@ function findRels(relId) {
   });
 }
 
-module.exports = findRels;
+/**
+ * Looks up a REL by its module id.
+ *
+ * @param {number} id Module id of REL (Ex: 0x33)
+ * @returns {object} Data for the REL (including its `name`), or null if the id
+ * is not known.
+ */
+function findRelById(id) {
+  const name = Object.keys(relsMap).find((key) => relsMap[key].id === id);
+  return name ? { ...relsMap[name], name } : null;
+}
+
+/**
+ * Looks up a REL by its name.
+ *
+ * @param {string} name Name of REL (Ex: 'd_a_midna')
+ * @returns {object} Data for the REL (including its `name`), or null if the
+ * name is not known.
+ */
+function findRelByName(name) {
+  return relsMap[name] ? { ...relsMap[name], name } : null;
+}
+
+/**
+ * Returns every known REL, optionally only from one category.
+ *
+ * @param {string} category Category of RELs ('amem', 'mmem' or 'rels'), or
+ * null for all RELs.
+ * @returns {array} List of data for each REL (including its `name`), sorted by
+ * id.
+ */
+function getRels(category) {
+  return Object.keys(relsMap)
+    .filter((name) => !category || relsMap[name].category === category)
+    .map((name) => ({ ...relsMap[name], name }))
+    .sort((a, b) => a.id - b.id);
+}
+
+module.exports = {
+  findRelById,
+  findRelByName,
+  findRels,
+  getRels,
+};
@@ -0,0 +1,487 @@
+'use strict';
+
+/**
+ * Writes a disassembled REL as a GNU assembler (devkitPPC) source file, in the
+ * style used by decompilation projects. It can be assembled with
+ * `powerpc-eabi-as -mgekko -mregnames`.
+ */
+
+const { sprintf } = require('sprintf-js');
+const {
+  getRelocationSuffix,
+  isBranchRelocation,
+  relocationTypes,
+} = require('./relocations');
+
+// Same macros as decompilation projects use for symbol boundaries, so the
+// file assembles on its own.
+const MACROS = `.macro .fn name, visibility=global
+.\\visibility "\\name"
+.type "\\name", @function
+"\\name":
+.endm
+
+.macro .endfn name
+.size "\\name", . - "\\name"
+.endm
+
+.macro .obj name, visibility=global
+.\\visibility "\\name"
+.type "\\name", @object
+"\\name":
+.endm
+
+.macro .endobj name
+.size "\\name", . - "\\name"
+.endm
+`;
+
+const halfRelocationTypes = [
+  relocationTypes.R_PPC_ADDR16_LO,
+  relocationTypes.R_PPC_ADDR16_HI,
+  relocationTypes.R_PPC_ADDR16_HA,
+];
+
+// Keys are addresses of functions and data symbols in the REL, and values are
+// their names as used in the assembly (see `getUniqueNames`).
+let symbolsByAddress = {};
+// List of { name, address, size } for every function and data symbol.
+let symbols = [];
+// Keys are addresses inside of functions which something branches to or
+// points to, so need a local label.
+let localLabels = {};
+// Module id of the REL.
+let relId = null;
+
+/**
+ * Quotes a symbol name if the assembler would not accept it as-is.
+ *
+ * @param {string} name Symbol name (Ex: '@1234')
+ * @returns {string} Name which can be used in the assembly (Ex: '"@1234"')
+ */
+function quoteSymbol(name) {
+  return /^[A-Za-z_.$][A-Za-z0-9_.$]*$/.test(name) ? name : `"${name}"`;
+}
+
+/**
+ * Returns the name used for a symbol in the REL, generating one from its
+ * address if it is not in the REL map.
+ *
+ * @param {string} name Name from the REL map, or null.
+ * @param {number} address Address of the symbol.
+ * @param {string} prefix Prefix of generated names ('fn' or 'lbl').
+ * @returns {string} Symbol name
+ */
+function getSymbolName(name, address, prefix) {
+  return name || sprintf('%s_%08x', prefix, address);
+}
+
+/**
+ * Returns the name used in the assembly for a function or data symbol in the
+ * REL.
+ *
+ * @param {string} name Name from the REL map, or null.
+ * @param {number} address Address of the symbol.
+ * @param {string} prefix Prefix of generated names ('fn' or 'lbl').
+ * @returns {string} Name from `collectSymbols`, or a generated name if the
+ * symbol was not collected.
+ */
+function getCollectedName(name, address, prefix) {
+  return symbolsByAddress[address] || getSymbolName(name, address, prefix);
+}
+
+/**
+ * Returns the visibility of a symbol. Symbols which the compiler generated
+ * (Ex: '@1234') are local to the file.
+ *
+ * @param {string} name Symbol name
+ * @returns {string} 'global' or 'local'
+ */
+function getVisibility(name) {
+  return name.startsWith('@') ? 'local' : 'global';
+}
+
+/**
+ * Returns the name to use for an address in the REL.
+ *
+ * @param {number} address Address in the REL.
+ * @returns {string} Name of the symbol or label at the address, an offset from
+ * the symbol which contains it (Ex: '"@4000"+0x10'), or a generated name.
+ */
+function getAddressSymbol(address) {
+  if (symbolsByAddress[address]) {
+    return quoteSymbol(symbolsByAddress[address]);
+  } else if (localLabels[address]) {
+    return sprintf('.L_%08x', address);
+  }
+
+  const symbol = symbols.find(
+    (s) => address >= s.address && address < s.address + s.size
+  );
+  if (symbol) {
+    return sprintf(
+      '%s+0x%x',
+      quoteSymbol(symbol.name),
+      address - symbol.address
+    );
+  }
+  return sprintf('lbl_%08x', address);
+}
+
+/**
+ * Returns the name of what a relocation points to.
+ *
+ * @param {object} relocation Relocation from `describeRelocation`
+ * @returns {string} Symbol name which can be used in the assembly.
+ */
+function getRelocationSymbol(relocation) {
+  const { target } = relocation;
+  // Symbols in the REL may have been renamed by `getUniqueNames`.
+  if (target.address != null && symbolsByAddress[target.address]) {
+    return quoteSymbol(symbolsByAddress[target.address]);
+  } else if (target.name) {
+    return quoteSymbol(target.name);
+  } else if (
+    target.address != null &&
+    (relocation.moduleId === 0 || relocation.moduleId === relId)
+  ) {
+    return getAddressSymbol(target.address);
+  }
+  // Addresses in other RELs depend on where they were loaded, so name the
+  // target by its section and offset instead.
+  return sprintf(
+    'lbl_%s_%d_%x',
+    target.module,
+    relocation.targetSection,
+    relocation.addend
+  );
+}
+
+/**
+ * Returns the directive which starts a section.
+ *
+ * @param {object} section Section from `buildRelModel`
+ * @returns {string} Section directive (Ex: '.section .text, "ax"')
+ */
+function getSectionDirective(section) {
+  const name = section.name || `.sect${section.index}`;
+  if (section.type === 'text') {
+    return `.section ${name}, "ax"`;
+  } else if (section.type === 'bss') {
+    return `.section ${name}, "wa", @nobits`;
+  } else if (name.startsWith('.rodata')) {
+    return `.section ${name}, "a"`;
+  }
+  return `.section ${name}, "wa"`;
+}
+
+/**
+ * Converts disassembled operands to the syntax the assembler accepts.
+ *
+ * @param {string} operands Operands from the disassembler.
+ * @returns {string} Converted operands.
+ */
+function convertOperands(operands) {
+  return (
+    operands
+      .trim()
+      // rlwinm and friends show the mask they make.
+      .replace(/ \([0-9a-f]{8}\)$/, '')
+      .replace(/\bsp\b/g, 'r1')
+      .replace(/\brtoc\b/g, 'r2')
+      .replace(/ \((r\d+)\)/g, '($1)')
+      // Negative immediates are shown as unsigned 32-bit values.
+      .replace(/\b0x([0-9a-f]{8})\b/g, (text, hex) => {
+        const value = Number('0x' + hex);
+        return value >= 0x80000000
+          ? sprintf('-0x%x', 0x100000000 - value)
+          : text;
+      })
+  );
+}
+
+/**
+ * Builds the assembly for one instruction.
+ *
+ * @param {object} instruction Instruction from `buildRelModel`
+ * @returns {string} Assembly for the instruction, without the leading
+ * comment.
+ */
+function formatInstruction(instruction) {
+  let { mnemonic } = instruction;
+  const { branchTarget, relocations } = instruction;
+
+  if (mnemonic === '' || mnemonic === '(ill)') {
+    return sprintf('.4byte 0x%08x', instruction.word);
+  }
+
+  if (branchTarget != null) {
+    const branchRelocation = relocations.find((relocation) =>
+      isBranchRelocation(relocation.type)
+    );
+    let target;
+    if (branchRelocation) {
+      target = getRelocationSymbol(branchRelocation);
+    } else if (
+      symbolsByAddress[branchTarget] ||
+      localLabels[branchTarget] ||
+      !instruction.symbol
+    ) {
+      target = getAddressSymbol(branchTarget);
+    } else {
+      target = quoteSymbol(instruction.symbol);
+    }
+    const operands = convertOperands(
+      instruction.operands.replace(/->0x[0-9a-f]{8}/, 'TARGET')
+    ).replace('TARGET', target);
+    return `${mnemonic} ${operands}`;
+  }
+
+  let operands = convertOperands(instruction.operands);
+
+  const relocation = relocations.find((r) =>
+    halfRelocationTypes.includes(r.type)
+  );
+  if (relocation) {
+    const value =
+      getRelocationSymbol(relocation) + getRelocationSuffix(relocation.type);
+    // The sign of the immediate is part of the relocated value.
+    if (mnemonic === 'subi' || mnemonic === 'subis') {
+      mnemonic = mnemonic === 'subi' ? 'addi' : 'addis';
+    }
+    if (/\(r\d+\)$/.test(operands)) {
+      operands = operands.replace(/[^ ,]+(\(r\d+\))$/, `${value}$1`);
+    } else {
+      operands = operands.replace(/[^ ,]+$/, value);
+    }
+  }
+
+  return operands ? `${mnemonic} ${operands}` : mnemonic;
+}
+
+/**
+ * Writes a text section.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} section Text section from `buildRelModel`
+ */
+function writeTextSection(stream, section) {
+  section.functions.forEach((fn) => {
+    const name = quoteSymbol(getCollectedName(fn.name, fn.address, 'fn'));
+
+    stream.write(`\n.fn ${name}, ${getVisibility(fn.name || name)}\n`);
+    fn.instructions.forEach((instruction) => {
+      if (localLabels[instruction.address]) {
+        stream.write(sprintf('.L_%08x:\n', instruction.address));
+      }
+      stream.write(
+        sprintf(
+          '/* %08x %08x */\t%s\n',
+          instruction.address,
+          instruction.word,
+          formatInstruction(instruction)
+        )
+      );
+    });
+    stream.write(`.endfn ${name}\n`);
+  });
+}
+
+/**
+ * Writes a data section, using `.4byte` for every aligned word so relocated
+ * pointers can be written as symbols.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} section Data section from `buildRelModel`
+ */
+function writeDataSection(stream, section) {
+  section.symbols.forEach((symbol) => {
+    const name = quoteSymbol(
+      getCollectedName(symbol.name, symbol.address, 'lbl')
+    );
+    const wordsByAddress = {};
+    symbol.words.forEach((word) => {
+      wordsByAddress[word.address] = word;
+    });
+
+    stream.write(`\n.obj ${name}, ${getVisibility(symbol.name || name)}\n`);
+
+    const { bytes } = symbol;
+    let offset = 0;
+    while (offset < bytes.length) {
+      const address = symbol.address + offset;
+      if (address % 4 !== 0 || offset + 4 > bytes.length) {
+        stream.write(sprintf('\t.byte 0x%02x\n', bytes[offset]));
+        offset++;
+        continue;
+      }
+
+      const word = wordsByAddress[address];
+      if (word && word.relocation) {
+        stream.write(`\t.4byte ${getRelocationSymbol(word.relocation)}\n`);
+      } else {
+        stream.write(sprintf('\t.4byte 0x%08x\n', bytes.readUInt32BE(offset)));
+      }
+      offset += 4;
+    }
+
+    stream.write(`.endobj ${name}\n`);
+  });
+}
+
+/**
+ * Writes a bss section, which only reserves space for each symbol.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} section Bss section from `buildRelModel`
+ */
+function writeBssSection(stream, section) {
+  const symbols = section.symbols.slice();
+  // Keep the section the same size if the REL map has no symbol at its start.
+  if (symbols.length === 0 || symbols[0].offset > 0) {
+    symbols.unshift({
+      name: null,
+      offset: 0,
+      address: section.address,
+      size: symbols.length > 0 ? symbols[0].offset : section.length,
+    });
+  }
+
+  symbols.forEach((symbol) => {
+    const name = quoteSymbol(
+      getCollectedName(symbol.name, symbol.address, 'lbl')
+    );
+    stream.write(`\n.obj ${name}, ${getVisibility(symbol.name || name)}\n`);
+    stream.write(sprintf('\t.skip 0x%x\n', symbol.size));
+    stream.write(`.endobj ${name}\n`);
+  });
+}
+
+/**
+ * Makes the names of local symbols unique. The compiler numbers them per
+ * object file, so the same name (Ex: '@1234') can be in a REL more than once,
+ * which the assembler would reject. Every copy of a repeated local name gets
+ * its address appended (Ex: '@1234_80501234').
+ *
+ * @param {array} list Symbols with `name` and `address`, whose names are
+ * changed.
+ */
+function getUniqueNames(list) {
+  const counts = {};
+  list.forEach(({ name }) => {
+    counts[name] = (counts[name] || 0) + 1;
+  });
+  list.forEach((symbol) => {
+    if (counts[symbol.name] > 1 && getVisibility(symbol.name) === 'local') {
+      symbol.name = sprintf('%s_%08x', symbol.name, symbol.address);
+    }
+  });
+}
+
+/**
+ * Fills in `symbolsByAddress`, `symbols`, `localLabels` and `relId` for a
+ * REL.
+ *
+ * @param {object} model Data from `buildRelModel`
+ */
+function collectSymbols(model) {
+  symbolsByAddress = {};
+  symbols = [];
+  localLabels = {};
+  relId = model.id;
+
+  const textSections = model.sections.filter((s) => s.type === 'text');
+  const isInText = (address) =>
+    textSections.some(
+      (s) => address >= s.address && address < s.address + s.length
+    );
+
+  model.sections.forEach((section) => {
+    if (section.type === 'text') {
+      section.functions.forEach((fn) => {
+        symbols.push({
+          name: getSymbolName(fn.name, fn.address, 'fn'),
+          address: fn.address,
+          size: fn.instructions.length * 4,
+        });
+      });
+    } else {
+      section.symbols.forEach((symbol) => {
+        symbols.push({
+          name: getSymbolName(symbol.name, symbol.address, 'lbl'),
+          address: symbol.address,
+          size: symbol.size,
+        });
+      });
+    }
+  });
+  getUniqueNames(symbols);
+  symbols.forEach((symbol) => {
+    symbolsByAddress[symbol.address] = symbol.name;
+  });
+
+  // Anything inside of a function which is branched to or pointed to (Ex:
+  // the cases of a switch) needs a label.
+  const addLabel = (address) => {
+    if (address != null && !symbolsByAddress[address] && isInText(address)) {
+      localLabels[address] = true;
+    }
+  };
+  model.sections.forEach((section) => {
+    if (section.type === 'text') {
+      section.functions.forEach((fn) => {
+        fn.instructions.forEach((instruction) => {
+          if (instruction.mnemonic !== 'bl') {
+            addLabel(instruction.branchTarget);
+          }
+          instruction.relocations.forEach((r) => addLabel(r.target.address));
+        });
+      });
+    } else if (section.type === 'data') {
+      section.symbols.forEach((symbol) => {
+        symbol.words.forEach((word) => {
+          if (word.relocation) {
+            addLabel(word.relocation.target.address);
+          }
+        });
+      });
+    }
+  });
+}
+
+/**
+ * Writes a REL as an assembly file.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} model Data from `buildRelModel`
+ */
+function writeGas(stream, model) {
+  collectSymbols(model);
+
+  stream.write(
+    sprintf(
+      '/* %s.rel, module id 0x%x, loaded at %08x */\n\n',
+      model.name,
+      model.id,
+      model.address
+    )
+  );
+  stream.write(MACROS);
+
+  model.sections.forEach((section) => {
+    stream.write(`\n${getSectionDirective(section)}\n`);
+    stream.write('.balign 4\n');
+
+    if (section.type === 'text') {
+      writeTextSection(stream, section);
+    } else if (section.type === 'bss') {
+      writeBssSection(stream, section);
+    } else {
+      writeDataSection(stream, section);
+    }
+  });
+}
+
+module.exports = {
+  writeGas,
+};
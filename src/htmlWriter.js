@@ -0,0 +1,357 @@
+'use strict';
+
+/**
+ * Writes a disassembled REL as a single HTML page. Branch targets, callees,
+ * labels and pointers link to where they point, functions can be collapsed,
+ * and a sidebar lists every function with a search box. Everything is inline
+ * so the page works offline.
+ */
+
+const { sprintf } = require('sprintf-js');
+const {
+  formatReference,
+  formatRelocation,
+  formatWord,
+  getDataRows,
+  groupJumpTableCases,
+} = require('./textWriter');
+
+const STYLE = `
+body { margin: 0; font: 13px monospace; color: #222; background: #fdfdfd; }
+#sidebar { position: fixed; top: 0; bottom: 0; left: 0; width: 320px;
+  overflow-y: auto; border-right: 1px solid #ccc; background: #f3f3f3; }
+#search { position: sticky; top: 0; width: 100%; box-sizing: border-box;
+  padding: 6px; font: inherit; border: 0; border-bottom: 1px solid #ccc; }
+#sidebar ul { list-style: none; margin: 0; padding: 4px 6px; }
+#sidebar li { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+#main { margin-left: 330px; padding: 8px 16px; }
+h2 { font-size: 14px; border-bottom: 2px solid #888; margin-top: 24px; }
+summary { cursor: pointer; font-weight: bold; padding: 2px 0; }
+.row { white-space: pre; }
+.row:target { background: #fff3a8; }
+.addr { color: #888; }
+.label { color: #a0522d; font-weight: bold; }
+.note { color: #2e6da4; }
+.word { color: #6a8759; padding-left: 4ch; }
+.hidden { display: none; }
+a { color: #1a5fb4; text-decoration: none; }
+a:hover { text-decoration: underline; }
+`;
+
+const SCRIPT = `
+function openTarget() {
+  var el = document.getElementById(location.hash.substring(1));
+  for (var p = el; p; p = p.parentElement) {
+    if (p.tagName === 'DETAILS') p.open = true;
+  }
+  if (el) el.scrollIntoView({ block: 'center' });
+}
+window.addEventListener('hashchange', openTarget);
+if (location.hash) openTarget();
+
+document.getElementById('search').addEventListener('input', function () {
+  var query = this.value.trim().toLowerCase();
+  var items = document.querySelectorAll('[data-search]');
+  for (var i = 0; i < items.length; i++) {
+    var text = items[i].getAttribute('data-search');
+    items[i].classList.toggle('hidden', query !== '' && text.indexOf(query) < 0);
+  }
+});
+`;
+
+// Addresses which have an element with an id, so can be linked to.
+let anchors = new Set();
+
+/**
+ * Escapes text for use in HTML.
+ *
+ * @param {string} text Text to escape.
+ * @returns {string} Escaped text.
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Returns the id of the element for an address.
+ *
+ * @param {number} address Address in the REL.
+ * @returns {string} Element id (Ex: 'a-805000a0')
+ */
+function getAnchorId(address) {
+  return sprintf('a-%08x', address);
+}
+
+/**
+ * Links text to an address if the address is in the page.
+ *
+ * @param {number} address Address to link to, or null.
+ * @param {string} html Already escaped HTML to show.
+ * @returns {string} Link, or `html` if the address is not in the page.
+ */
+function linkTo(address, html) {
+  if (address == null || !anchors.has(address)) {
+    return html;
+  }
+  return `<a href="#${getAnchorId(address)}">${html}</a>`;
+}
+
+/**
+ * Builds the annotation of a relocation, linked to its target.
+ *
+ * @param {object} relocation Relocation from `describeRelocation`
+ * @returns {string} HTML of the annotation.
+ */
+function formatRelocationHtml(relocation) {
+  return linkTo(
+    relocation.target.address,
+    escapeHtml(formatRelocation(relocation))
+  );
+}
+
+/**
+ * Builds the annotation of a jump table, with a link to each case.
+ *
+ * @param {object} jumpTable Jump table of an instruction from `buildRelModel`
+ * @returns {string} HTML of the annotation.
+ */
+function formatJumpTableHtml(jumpTable) {
+  const table = linkTo(
+    jumpTable.address,
+    escapeHtml(jumpTable.symbol || sprintf('%08x', jumpTable.address))
+  );
+  const cases = groupJumpTableCases(jumpTable).map((group) =>
+    sprintf(
+      'case %s: %s',
+      group.values.join(', '),
+      linkTo(
+        group.target,
+        escapeHtml(group.label || sprintf('%08x', group.target))
+      )
+    )
+  );
+  return `jump table ${table} (${cases.join(', ')})`;
+}
+
+/**
+ * Builds the HTML of one instruction.
+ *
+ * @param {object} instruction Instruction from `buildRelModel`
+ * @returns {string} HTML of the instruction's row.
+ */
+function formatInstructionHtml(instruction) {
+  const { mnemonic, branchTarget } = instruction;
+
+  let operands = escapeHtml(instruction.operands.trim());
+  let note = '';
+
+  if (branchTarget != null) {
+    operands = operands.replace(/-&gt;0x([0-9a-f]{8})/, (text, hex) =>
+      linkTo(branchTarget, `-&gt;0x${hex}`)
+    );
+
+    if (instruction.targetLabel) {
+      note = `===&gt; ${linkTo(
+        branchTarget,
+        escapeHtml(instruction.targetLabel)
+      )}`;
+    } else if (instruction.symbol) {
+      note = linkTo(branchTarget, escapeHtml(instruction.symbol));
+    } else if (instruction.relocations.length > 0) {
+      note = formatRelocationHtml(instruction.relocations[0]);
+    }
+  } else {
+    const notes = instruction.relocations.map(formatRelocationHtml);
+    const reference = formatReference(instruction);
+    if (reference) {
+      notes.push(linkTo(instruction.reference.address, escapeHtml(reference)));
+    }
+    if (instruction.jumpTable) {
+      notes.push(formatJumpTableHtml(instruction.jumpTable));
+    }
+    note = notes.join(' ');
+  }
+
+  return sprintf(
+    '<div class="row" id="%s"><span class="addr">%08x  %08x</span>  %-8s %s%s</div>\n',
+    getAnchorId(instruction.address),
+    instruction.address,
+    instruction.word,
+    escapeHtml(mnemonic),
+    operands,
+    note ? `  <span class="note">${note}</span>` : ''
+  );
+}
+
+/**
+ * Writes the functions of a text section.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} section Text section from `buildRelModel`
+ */
+function writeTextSection(stream, section) {
+  section.functions.forEach((fn) => {
+    const name = fn.name || 'UNKNOWN FUNCTION';
+    stream.write(
+      sprintf(
+        '<details open data-search="%s"><summary><span class="addr">%08x</span> %s</summary>\n',
+        escapeHtml(sprintf('%s %08x', name, fn.address).toLowerCase()),
+        fn.address,
+        escapeHtml(name)
+      )
+    );
+    fn.instructions.forEach((instruction) => {
+      if (instruction.label) {
+        stream.write(
+          `<div class="row label">${escapeHtml(instruction.label)}:</div>\n`
+        );
+      }
+      stream.write(formatInstructionHtml(instruction));
+    });
+    stream.write('</details>\n');
+  });
+}
+
+/**
+ * Writes the symbols of a data or bss section.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} section Data or bss section from `buildRelModel`
+ */
+function writeSymbols(stream, section) {
+  section.symbols.forEach((symbol) => {
+    const name = symbol.name || 'UNKNOWN';
+    stream.write(
+      sprintf(
+        '<details open data-search="%s"><summary id="%s"><span class="addr">%08x</span> %s (0x%x bytes)</summary>\n',
+        escapeHtml(sprintf('%s %08x', name, symbol.address).toLowerCase()),
+        getAnchorId(symbol.address),
+        symbol.address,
+        escapeHtml(name),
+        symbol.size
+      )
+    );
+
+    if (section.type === 'data') {
+      getDataRows(symbol).forEach((row, i) => {
+        const idText = i > 0 ? ` id="${getAnchorId(row.address)}"` : '';
+        stream.write(
+          `<div class="row"${idText}>${escapeHtml(row.text)}</div>\n`
+        );
+        row.words.forEach((word) => {
+          let target = null;
+          if (word.relocation) {
+            target = word.relocation.target.address;
+          } else if (word.kind === 'pointer') {
+            target = word.value;
+          }
+          stream.write(
+            sprintf(
+              '<div class="row word">%08x %s</div>\n',
+              word.address,
+              linkTo(target, escapeHtml(formatWord(word)))
+            )
+          );
+        });
+      });
+    }
+
+    stream.write('</details>\n');
+  });
+}
+
+/**
+ * Fills in `anchors` with every address which gets an element with an id.
+ *
+ * @param {object} model Data from `buildRelModel`
+ */
+function collectAnchors(model) {
+  anchors = new Set();
+  model.sections.forEach((section) => {
+    if (section.type === 'text') {
+      section.functions.forEach((fn) => {
+        fn.instructions.forEach((instruction) => {
+          anchors.add(instruction.address);
+        });
+      });
+    } else {
+      section.symbols.forEach((symbol) => {
+        anchors.add(symbol.address);
+        if (section.type === 'data') {
+          getDataRows(symbol).forEach((row) => anchors.add(row.address));
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Writes a REL as an HTML page.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} model Data from `buildRelModel`
+ */
+function writeHtml(stream, model) {
+  collectAnchors(model);
+
+  const title = escapeHtml(`${model.name}.rel`);
+  stream.write('<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n');
+  stream.write(`<title>${title}</title>\n<style>${STYLE}</style>\n</head>\n`);
+  stream.write('<body>\n<nav id="sidebar">\n');
+  stream.write(
+    '<input id="search" type="search" placeholder="Filter by symbol or address">\n<ul>\n'
+  );
+  model.sections
+    .filter((section) => section.type === 'text')
+    .forEach((section) => {
+      section.functions
+        .filter((fn) => fn.name)
+        .forEach((fn) => {
+          stream.write(
+            sprintf(
+              '<li data-search="%s"><a href="#%s" title="%s">%s</a></li>\n',
+              escapeHtml(sprintf('%s %08x', fn.name, fn.address).toLowerCase()),
+              getAnchorId(fn.address),
+              escapeHtml(fn.name),
+              escapeHtml(fn.name)
+            )
+          );
+        });
+    });
+  stream.write('</ul>\n</nav>\n<main id="main">\n');
+  stream.write(
+    sprintf(
+      '<h1>%s</h1>\n<p>Module id 0x%x, loaded at %08x</p>\n',
+      title,
+      model.id,
+      model.address
+    )
+  );
+
+  model.sections.forEach((section) => {
+    stream.write(
+      sprintf(
+        '<h2>Section %d (%s) %08x length 0x%x</h2>\n',
+        section.index,
+        escapeHtml(section.name || 'unknown'),
+        section.address,
+        section.length
+      )
+    );
+    if (section.type === 'text') {
+      writeTextSection(stream, section);
+    } else {
+      writeSymbols(stream, section);
+    }
+  });
+
+  stream.write(`</main>\n<script>${SCRIPT}</script>\n</body>\n</html>\n`);
+}
+
+module.exports = {
+  writeHtml,
+};
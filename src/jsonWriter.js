@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Writes a disassembled REL as JSON so other tools can read it without parsing
+ * the text format. Addresses, offsets and words are numbers.
+ */
+
+// Increase when a change could break existing readers of the JSON.
+const formatVersion = 1;
+
+/**
+ * Converts a relocation to its JSON form.
+ *
+ * @param {object} relocation Relocation from `describeRelocation`
+ * @returns {object} Relocation for the JSON output.
+ */
+function toJsonRelocation(relocation) {
+  return {
+    type: relocation.typeName,
+    moduleId: relocation.moduleId,
+    targetSection: relocation.targetSection,
+    addend: relocation.addend,
+    target: relocation.target,
+  };
+}
+
+/**
+ * Converts an instruction to its JSON form.
+ *
+ * @param {object} instruction Instruction from `buildRelModel`
+ * @returns {object} Instruction for the JSON output.
+ */
+function toJsonInstruction(instruction) {
+  return {
+    address: instruction.address,
+    offset: instruction.offset,
+    word: instruction.word,
+    mnemonic: instruction.mnemonic,
+    operands: instruction.operands.trim(),
+    branchTarget: instruction.branchTarget,
+    symbol: instruction.symbol,
+    label: instruction.label,
+    targetLabel: instruction.targetLabel,
+    relocations: instruction.relocations.map(toJsonRelocation),
+    jumpTable: instruction.jumpTable,
+    reference: instruction.reference,
+  };
+}
+
+/**
+ * Converts a section to its JSON form.
+ *
+ * @param {object} section Section from `buildRelModel`
+ * @returns {object} Section for the JSON output.
+ */
+function toJsonSection(section) {
+  const result = {
+    index: section.index,
+    name: section.name,
+    type: section.type,
+    address: section.address,
+    length: section.length,
+  };
+
+  if (section.type === 'text') {
+    result.functions = section.functions.map((fn) => ({
+      name: fn.name,
+      offset: fn.offset,
+      address: fn.address,
+      instructions: fn.instructions.map(toJsonInstruction),
+    }));
+  } else if (section.type === 'data') {
+    result.symbols = section.symbols.map((symbol) => ({
+      name: symbol.name,
+      offset: symbol.offset,
+      address: symbol.address,
+      size: symbol.size,
+      data: symbol.bytes.toString('hex'),
+      words: symbol.words.map((word) => ({
+        ...word,
+        relocation: word.relocation ? toJsonRelocation(word.relocation) : null,
+      })),
+    }));
+  } else {
+    result.symbols = section.symbols;
+  }
+
+  return result;
+}
+
+/**
+ * Writes a REL as JSON.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} model Data from `buildRelModel`
+ */
+function writeJson(stream, model) {
+  const document = {
+    formatVersion,
+    module: {
+      name: model.name,
+      id: model.id,
+      address: model.address,
+      version: model.version,
+    },
+    sections: model.sections.map(toJsonSection),
+  };
+
+  stream.write(JSON.stringify(document, null, 2));
+  stream.write('\n');
+}
+
+module.exports = {
+  writeJson,
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * Recovers the jump tables which CodeWarrior generates for switch statements:
+ *
+ *   cmplwi  rI, N          ; bound check, N is the last case
+ *   bgt     default
+ *   lis     rT, table@ha
+ *   addi    rT, rT, table@l
+ *   slwi    rO, rI, 2      ; (rlwinm rO, rI, 2, 0, 29)
+ *   lwzx    rD, rT, rO
+ *   mtctr   rD
+ *   bctr
+ */
+
+const { resolveAddressPairs } = require('./addressPairs');
+
+const BCTR = 0x4e800420;
+
+// How many instructions before a `bctr` to look for the rest of the pattern.
+const maxPatternLength = 16;
+
+/**
+ * Decodes the fields of an instruction which the pattern uses.
+ *
+ * @param {number} word Instruction word.
+ * @returns {object} Object with `opcode`, `rD`, `rA`, `rB`, `imm`, `xo`
+ * (extended opcode of X-form instructions), and `mb` and `me` (mask of
+ * rlwinm).
+ */
+function decode(word) {
+  return {
+    opcode: word >>> 26,
+    rD: (word >>> 21) & 0x1f,
+    rA: (word >>> 16) & 0x1f,
+    rB: (word >>> 11) & 0x1f,
+    imm: word & 0xffff,
+    xo: (word >>> 1) & 0x3ff,
+    mb: (word >>> 6) & 0x1f,
+    me: (word >>> 1) & 0x1f,
+  };
+}
+
+/**
+ * Checks whether an instruction is `mtctr`.
+ *
+ * @param {object} fields Fields from `decode`
+ * @returns {boolean} true if it is `mtctr`.
+ */
+function isMtctr(fields) {
+  // mtspr with spr 9 (the two halves of the spr field are swapped).
+  return fields.opcode === 31 && fields.xo === 467 && fields.rA === 9;
+}
+
+/**
+ * Finds the jump table which a `bctr` uses.
+ *
+ * @param {array} instructions Instructions of the function.
+ * @param {array} addresses Addresses from `resolveAddressPairs` for them.
+ * @param {number} bctrIndex Index of the `bctr` in `instructions`.
+ * @returns {object} Object with `address` (of the table) and `count` (number
+ * of entries), or null if the code before the `bctr` does not match.
+ */
+function matchPattern(instructions, addresses, bctrIndex) {
+  const start = Math.max(0, bctrIndex - maxPatternLength);
+  let i = bctrIndex - 1;
+
+  // Steps backwards from `i` until an instruction matches.
+  const findBefore = (predicate) => {
+    for (; i >= start; i--) {
+      const fields = decode(instructions[i].word);
+      if (predicate(fields)) {
+        return fields;
+      }
+    }
+    return null;
+  };
+
+  const mtctr = findBefore(isMtctr);
+  if (!mtctr) {
+    return null;
+  }
+  const lwzx = findBefore(
+    (f) => f.opcode === 31 && f.xo === 23 && f.rD === mtctr.rD
+  );
+  if (!lwzx) {
+    return null;
+  }
+  const lwzxIndex = i;
+
+  // Either register of the lwzx can be the table and the other the offset.
+  let tableAddress = null;
+  let offsetRegister = null;
+  [
+    [lwzx.rA, lwzx.rB],
+    [lwzx.rB, lwzx.rA],
+  ].forEach(([tableRegister, otherRegister]) => {
+    if (tableAddress != null) {
+      return;
+    }
+    for (let j = lwzxIndex - 1; j >= start; j--) {
+      const fields = decode(instructions[j].word);
+      if (fields.opcode === 14 && fields.rD === tableRegister) {
+        if (addresses[j] != null) {
+          tableAddress = addresses[j];
+          offsetRegister = otherRegister;
+        }
+        return;
+      }
+    }
+  });
+  if (tableAddress == null) {
+    return null;
+  }
+
+  // slwi is rlwinm rA, rS, 2, 0, 29 where rS is in the rD field and the
+  // shift is in the rB field.
+  i = lwzxIndex - 1;
+  const slwi = findBefore(
+    (f) =>
+      f.opcode === 21 &&
+      f.rA === offsetRegister &&
+      f.rB === 2 &&
+      f.mb === 0 &&
+      f.me === 29
+  );
+  if (!slwi) {
+    return null;
+  }
+  const indexRegister = slwi.rD;
+
+  // cmplwi is cmpli with L=0.
+  const cmplwi = findBefore(
+    (f) => f.opcode === 10 && (f.rD & 1) === 0 && f.rA === indexRegister
+  );
+  if (!cmplwi) {
+    return null;
+  }
+
+  return { address: tableAddress, count: cmplwi.imm + 1 };
+}
+
+/**
+ * Finds every switch jump table used by a function and reads its entries.
+ *
+ * @param {array} instructions Instructions of one function, in order. Each is
+ * an object with `address` and `word`.
+ * @param {function} readWord Reads a word at an address. Returns null if the
+ * address cannot be read.
+ * @returns {array} List of { bctrAddress, address, targets }, where `address`
+ * is where the table is and `targets` is the address for each case, starting
+ * from case 0.
+ */
+function findJumpTables(instructions, readWord) {
+  const unlabeled = instructions.map((instruction) => ({
+    word: instruction.word,
+    label: null,
+  }));
+  const addresses = resolveAddressPairs(unlabeled);
+
+  const jumpTables = [];
+  instructions.forEach((instruction, i) => {
+    if (instruction.word !== BCTR) {
+      return;
+    }
+    const match = matchPattern(instructions, addresses, i);
+    if (!match) {
+      return;
+    }
+
+    const targets = [];
+    for (let entry = 0; entry < match.count; entry++) {
+      const target = readWord(match.address + entry * 4);
+      if (target == null) {
+        return;
+      }
+      targets.push(target);
+    }
+
+    jumpTables.push({
+      bctrAddress: instruction.address,
+      address: match.address,
+      targets,
+    });
+  });
+
+  return jumpTables;
+}
+
+module.exports = {
+  findJumpTables,
+};
@@ -8,9 +8,20 @@ const RecognizedError = require('./RecognizedError');
  * Reads and parses a map file.
  *
  * @param {string} path Filepath of map file.
- * @returns {object} Keys are the decimal value of the addresses from the map
- * file (Ex: '2147505856' for 0x800056c0, '416' for 0x1a0), and values are the
- * names from the map (Ex: 'version_check__Fv', 'get_pla__FP10fopAc_ac_c').
+ * @returns {object} Object with the following properties:
+ * - `sections`: Keys are section names in the order they appear in the map
+ *   file (Ex: '.text', '.data'). Values are objects whose keys are the decimal
+ *   value of the addresses from that section's layout (Ex: '2147505856' for
+ *   0x800056c0, '416' for 0x1a0), and values are the names from the map (Ex:
+ *   'version_check__Fv', 'get_pla__FP10fopAc_ac_c').
+ * - `symbols`: List of { section, address, size, name, object } for every
+ *   symbol in every section layout, in the order they appear in the map file.
+ *   `address` is the same as the keys of `sections`, `size` is in bytes and
+ *   `object` is the object file which defines the symbol (Ex: 'd_a_midna.o').
+ *   The entries which only mark where an object file's part of a section
+ *   starts (Ex: '.text' for 'd_a_midna.o') are not included.
+ * - `memoryMap`: List of { name, address, size } for each section in the
+ *   "Memory map" at the end of the map file.
  */
 async function readMap(path) {
   if (!fs.existsSync(path)) {
@@ -19,7 +30,9 @@ async function readMap(path) {
     );
   }
 
-  const map = {};
+  const sections = {};
+  const symbols = [];
+  const memoryMap = [];
 
   const fileStream = fs.createReadStream(path);
 
@@ -28,33 +41,107 @@ async function readMap(path) {
     crlfDelay: Infinity,
   });
 
-  let foundTextSection = false;
+  let currentSection = null;
+  let currentSectionName = null;
+  let inMemoryMap = false;
 
   for await (const line of rl) {
-    if (!foundTextSection) {
-      if (line.indexOf('.text section layout') === 0) {
-        foundTextSection = true;
-      }
+    const layoutMatch = line.match(/^(\S+) section layout/);
+    if (layoutMatch) {
+      currentSection = {};
+      currentSectionName = layoutMatch[1];
+      sections[currentSectionName] = currentSection;
+      inMemoryMap = false;
+      continue;
+    } else if (line.indexOf('Memory map:') === 0) {
+      currentSection = null;
+      inMemoryMap = true;
       continue;
     }
 
-    const result = parseLine(line);
-    if (!result) {
-      break;
+    if (currentSection) {
+      // Column headers and UNUSED lines are skipped.
+      const result = parseLine(line);
+      if (result) {
+        currentSection[result.address] = result.name;
+        if (result.name !== currentSectionName) {
+          symbols.push({ section: currentSectionName, ...result });
+        }
+      }
+    } else if (inMemoryMap) {
+      const result = parseMemoryMapLine(line);
+      if (result) {
+        memoryMap.push(result);
+      }
     }
-
-    map[result.address] = result.name;
   }
 
-  return map;
+  return { sections, symbols, memoryMap };
 }
 
 /**
- * Pulls out the address and name from a line of the map file.
+ * Reads and parses a symbol map saved by Dolphin (Symbols > Save Symbol Map),
+ * or written by `export --to dolphin`. Every address is absolute, like in
+ * frameworkF.map.
+ *
+ * @param {string} path Filepath of map file.
+ * @returns {object} Object with `sections`, `symbols` and `memoryMap` like
+ * `readMap`. `object` of each symbol is null, and `memoryMap` is empty.
+ */
+function readDolphinMap(path) {
+  const sections = {};
+  const symbols = [];
+  let currentSectionName = null;
+
+  fs.readFileSync(path, 'utf8')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const layoutMatch = line.match(/^(\S+) section layout/);
+      if (layoutMatch) {
+        currentSectionName = layoutMatch[1];
+        sections[currentSectionName] = sections[currentSectionName] || {};
+        return;
+      }
+
+      const match = line.match(
+        /^([0-9a-f]{8})\s+([0-9a-f]{8})\s+([0-9a-f]{8})\s+\d+\s+(.+)$/i
+      );
+      if (!currentSectionName || !match) {
+        return;
+      }
+      const address = Number('0x' + match[1]);
+      const name = match[4].trim();
+      sections[currentSectionName][address] = name;
+      symbols.push({
+        section: currentSectionName,
+        address,
+        size: Number('0x' + match[2]),
+        name,
+        object: null,
+      });
+    });
+
+  return { sections, symbols, memoryMap: [] };
+}
+
+/**
+ * Combines the symbols from every section of a parsed map file. Only makes
+ * sense for maps which use absolute addresses, such as frameworkF.map.
+ *
+ * @param {object} map Parsed map file from `readMap`.
+ * @returns {object} Keys are addresses and values are names.
+ */
+function mergeSections(map) {
+  return Object.assign({}, ...Object.values(map.sections));
+}
+
+/**
+ * Pulls out the address, size, name and object file from a line of the map
+ * file.
  *
  * @param {string} line Line from the map file.
- * @returns {object} Object containing the address and name from a line of the
- * map file.
+ * @returns {object} Object containing the address, size, name and object file
+ * from a line of the map file.
  */
 function parseLine(line) {
   if (!line) {
@@ -62,23 +149,48 @@ function parseLine(line) {
   }
 
   const match = line.match(
-    /^\s*[0-9a-f]{8}\s*[0-9a-f]{6}\s*([0-9a-f]{8})\s*\d*\s*(\S*)/
+    /^\s*[0-9a-f]{8}\s*([0-9a-f]{6})\s*([0-9a-f]{8})\s*\d*\s*(\S*)\s*(.*)/
   );
   if (!match) {
     return null;
   }
 
-  const address = Number('0x' + match[1]);
+  const address = Number('0x' + match[2]);
   if (typeof address !== 'number') {
     return null;
   }
 
   return {
     address,
-    name: match[2],
+    size: Number('0x' + match[1]),
+    name: match[3],
+    object: match[4].trim() || null,
+  };
+}
+
+/**
+ * Pulls out the section name, address and size from a line of the "Memory
+ * map" at the end of the map file.
+ *
+ * @param {string} line Line from the map file.
+ * @returns {object} Object containing the name, address and size of the
+ * section, or null if the line does not describe a section.
+ */
+function parseMemoryMapLine(line) {
+  const match = line.match(/^\s*(\.\S+)\s+([0-9a-f]{8})\s+([0-9a-f]{8})/);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    name: match[1],
+    address: Number('0x' + match[2]),
+    size: Number('0x' + match[3]),
   };
 }
 
 module.exports = {
+  mergeSections,
+  readDolphinMap,
   readMap,
 };
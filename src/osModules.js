@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Reads the OS module queue, which is the linked list of every REL which has
+ * been linked by OSLink. Unlike the c_dylink DMC array, its location is the same
+ * in every version of the game, so it can be used to find RELs in versions
+ * where the DMC array has not been found yet.
+ */
+
+const { sprintf } = require('sprintf-js');
+const { findRelById } = require('./findRels');
+const RecognizedError = require('./RecognizedError');
+
+// Used to clear most significant bit.
+const clearMsb = 0x7fffffff;
+
+// OSModuleQueue in low memory.
+const moduleListHeadAddr = 0x800030c8;
+const moduleListTailAddr = 0x800030cc;
+
+// Stop walking the list if it is longer than this, since it is probably
+// corrupted.
+const maxModules = 0x400;
+
+/**
+ * Determines if an address can be read from the RAM dump.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @param {number} address Address to check.
+ * @param {number} length Number of bytes which need to be readable.
+ * @returns {boolean} true if readable, else false
+ */
+function isReadable(dumpBuffer, address, length) {
+  return (
+    address >= 0x80000000 && (address & clearMsb) + length <= dumpBuffer.length
+  );
+}
+
+/**
+ * Walks the OS module queue from head to tail.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @returns {object} Object with `modules` (list of { address, id, name, next,
+ * prev, bss } in list order, where `name` comes from the known list of RELs)
+ * and `warnings` (list of messages about inconsistencies in the list).
+ */
+function readModuleList(dumpBuffer) {
+  const head = dumpBuffer.readUInt32BE(moduleListHeadAddr & clearMsb);
+  const tail = dumpBuffer.readUInt32BE(moduleListTailAddr & clearMsb);
+
+  const modules = [];
+  const warnings = [];
+  const seen = new Set();
+
+  let prevAddr = 0;
+  let address = head;
+
+  while (address !== 0) {
+    if (!isReadable(dumpBuffer, address, 0x40)) {
+      warnings.push(
+        sprintf('Module list points outside of RAM dump: %08x', address)
+      );
+      break;
+    } else if (seen.has(address) || modules.length >= maxModules) {
+      warnings.push(sprintf('Module list loops back to %08x', address));
+      break;
+    }
+    seen.add(address);
+
+    const offset = address & clearMsb;
+    const id = dumpBuffer.readUInt32BE(offset);
+    const next = dumpBuffer.readUInt32BE(offset + 0x4);
+    const prev = dumpBuffer.readUInt32BE(offset + 0x8);
+
+    if (prev !== prevAddr) {
+      warnings.push(
+        sprintf(
+          'Module %08x has prev %08x, but was reached from %08x',
+          address,
+          prev,
+          prevAddr
+        )
+      );
+    }
+
+    const rel = findRelById(id);
+
+    modules.push({
+      address,
+      id,
+      name: rel ? rel.name : null,
+      next,
+      prev,
+      bss: readBssAddress(dumpBuffer, address),
+    });
+
+    prevAddr = address;
+    address = next;
+  }
+
+  if (prevAddr !== tail) {
+    warnings.push(
+      sprintf(
+        'Module list tail is %08x, but the last module reached was %08x',
+        tail,
+        prevAddr
+      )
+    );
+  }
+
+  return { modules, warnings };
+}
+
+/**
+ * Reads the address of a linked REL's bss from its section table.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @param {number} relPtr Address of start of REL data
+ * @returns {number} Address of bss, or 0 if it has none.
+ */
+function readBssAddress(dumpBuffer, relPtr) {
+  const offset = relPtr & clearMsb;
+  const numSections = dumpBuffer.readUInt32BE(offset + 0xc);
+  const sectionInfoAddr = dumpBuffer.readUInt32BE(offset + 0x10);
+  const bssSection = dumpBuffer.readUInt8(offset + 0x33);
+
+  if (
+    bssSection === 0 ||
+    bssSection >= numSections ||
+    !isReadable(dumpBuffer, sectionInfoAddr + bssSection * 8, 8)
+  ) {
+    return 0;
+  }
+  return dumpBuffer.readUInt32BE((sectionInfoAddr & clearMsb) + bssSection * 8);
+}
+
+/**
+ * Finds the address of a REL's data by looking for its module id in the OS
+ * module queue.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @param {string} relName Name of REL
+ * @returns {number} Address of start of REL data
+ */
+function findRelPointerInModuleList(dumpBuffer, relName) {
+  const module = readModuleList(dumpBuffer).modules.find(
+    (m) => m.name === relName
+  );
+
+  if (!module) {
+    throw new RecognizedError(
+      `REL '${relName}' is not in the OS module list of the RAM dump.`
+    );
+  }
+
+  return module.address;
+}
+
+/**
+ * Compares the RELs found through the c_dylink DMC array with the ones in the
+ * OS module queue.
+ *
+ * @param {array} dynamicModules List from `readDynamicModules`.
+ * @param {array} modules List of modules from `readModuleList`.
+ * @returns {object} Object with `onlyInDmc` (linked dynamic modules which are
+ * not in the OS module queue), `notLinked` (loaded dynamic modules which have
+ * not been linked yet, so are not expected to be in the queue) and
+ * `onlyInModuleList` (modules which no DynamicModuleControl points to).
+ */
+function crossCheckModules(dynamicModules, modules) {
+  const moduleAddresses = new Set(modules.map((m) => m.address));
+  const dmcAddresses = new Set(dynamicModules.map((dm) => dm.module));
+
+  const loaded = dynamicModules.filter(
+    (dm) => dm.module !== 0 && !moduleAddresses.has(dm.module)
+  );
+
+  return {
+    onlyInDmc: loaded.filter((dm) => dm.state === 'linked'),
+    notLinked: loaded.filter((dm) => dm.state !== 'linked'),
+    onlyInModuleList: modules.filter((m) => !dmcAddresses.has(m.address)),
+  };
+}
+
+module.exports = {
+  crossCheckModules,
+  findRelPointerInModuleList,
+  readModuleList,
+};
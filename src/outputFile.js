@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Writes output files, taking care of what to do when a file already exists
+ * and of writing to stdout instead.
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const askYesNo = require('./askYesNo');
+const RecognizedError = require('./RecognizedError');
+const { logStatus } = require('./statusLog');
+
+/**
+ * Determines which file to write to when outputFile already exists, based on
+ * the overwrite policy.
+ *
+ * @param {string} outputFile Filepath which was requested.
+ * @param {string} overwrite 'prompt' to ask the user, 'force' to overwrite,
+ * 'skip' to not write anything, or 'suffix' to write to the first free
+ * filename with a number before the extension (Ex:
+ * 'd_a_midna-disassembled.2.txt').
+ * @returns {string} Filepath to write to, or null if nothing should be
+ * written.
+ */
+async function checkCanWriteFile(outputFile, overwrite) {
+  if (!fs.existsSync(outputFile) || overwrite === 'force') {
+    return outputFile;
+  }
+
+  const baseName = path.basename(outputFile);
+
+  if (overwrite === 'skip') {
+    logStatus(`File '${baseName}' already exists - skipping`);
+    return null;
+  } else if (overwrite === 'suffix') {
+    const ext = path.extname(outputFile);
+    const withoutExt = outputFile.substring(0, outputFile.length - ext.length);
+    for (let i = 2; ; i++) {
+      const suffixedFile = `${withoutExt}.${i}${ext}`;
+      if (!fs.existsSync(suffixedFile)) {
+        return suffixedFile;
+      }
+    }
+  }
+
+  // Nobody can answer the prompt, so waiting for an answer would hang.
+  if (!process.stdin.isTTY) {
+    throw new RecognizedError(
+      `File '${baseName}' already exists and input is not interactive.\nPass --force, --no-clobber or --suffix to choose what to do.`
+    );
+  }
+
+  const canOverwrite = await askYesNo(
+    `\nFile '${baseName}' already exists. Overwrite ? [y/N]`,
+    (answer) => answer.length > 0 && answer[0].toLowerCase() === 'y'
+  );
+  if (!canOverwrite) {
+    console.error(chalk.red('Not overwriting'));
+    return null;
+  }
+  return outputFile;
+}
+
+/**
+ * Opens an output file, lets the callback write to it, then closes it.
+ *
+ * @param {string} outputFile Filepath to write to, or '-' to write to stdout.
+ * @param {string} overwrite What to do if the file already exists: 'prompt',
+ * 'force', 'skip' or 'suffix'. Defaults to 'prompt'.
+ * @param {function} write Called with the stream to write to.
+ * @returns {string} Filepath which was written ('-' for stdout), or null if
+ * nothing was written.
+ */
+async function writeOutputFile(outputFile, overwrite, write) {
+  if (outputFile === '-') {
+    write(process.stdout);
+    return outputFile;
+  }
+
+  await fs.mkdirp(path.dirname(outputFile));
+
+  const fileToWrite = await checkCanWriteFile(
+    outputFile,
+    overwrite || 'prompt'
+  );
+  if (!fileToWrite) {
+    return null;
+  }
+
+  fs.removeSync(fileToWrite);
+
+  const stream = fs.createWriteStream(fileToWrite, { flags: 'a' });
+  write(stream);
+  stream.end();
+
+  return fileToWrite;
+}
+
+module.exports = {
+  writeOutputFile,
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Reads the header data of a REL which has been loaded and linked by the game.
+ * When the game links a REL, offsets in the header and section table are
+ * replaced with addresses.
+ */
+
+// Used to clear most significant bit.
+const clearMsb = 0x7fffffff;
+
+/**
+ * Reads every field of a REL's OSModuleHeader. Fields which do not exist in the
+ * REL's version are null.
+ *
+ * @param {Buffer} relBuffer Contains REL data from RAM dump.
+ * @returns {object} Header fields, using the names from OSModule.h
+ */
+function readRelHeader(relBuffer) {
+  const version = relBuffer.readUInt32BE(0x1c);
+
+  return {
+    id: relBuffer.readUInt32BE(0x0),
+    next: relBuffer.readUInt32BE(0x4),
+    prev: relBuffer.readUInt32BE(0x8),
+    numSections: relBuffer.readUInt32BE(0xc),
+    sectionInfoOffset: relBuffer.readUInt32BE(0x10),
+    nameOffset: relBuffer.readUInt32BE(0x14),
+    nameSize: relBuffer.readUInt32BE(0x18),
+    version,
+    bssSize: relBuffer.readUInt32BE(0x20),
+    relOffset: relBuffer.readUInt32BE(0x24),
+    impOffset: relBuffer.readUInt32BE(0x28),
+    impSize: relBuffer.readUInt32BE(0x2c),
+    prologSection: relBuffer.readUInt8(0x30),
+    epilogSection: relBuffer.readUInt8(0x31),
+    unresolvedSection: relBuffer.readUInt8(0x32),
+    bssSection: relBuffer.readUInt8(0x33),
+    prolog: relBuffer.readUInt32BE(0x34),
+    epilog: relBuffer.readUInt32BE(0x38),
+    unresolved: relBuffer.readUInt32BE(0x3c),
+    align: version >= 2 ? relBuffer.readUInt32BE(0x40) : null,
+    bssAlign: version >= 2 ? relBuffer.readUInt32BE(0x44) : null,
+    fixSize: version >= 3 ? relBuffer.readUInt32BE(0x48) : null,
+  };
+}
+
+/**
+ * Reads the section table of a REL.
+ *
+ * @param {Buffer} relBuffer Contains REL data from RAM dump.
+ * @param {number} relPtr Address of start of REL data in memory
+ * @returns {array} List of sections in section table order. Each section is
+ * an object with `index`, `address`, `length`, `executable` and `bss`.
+ */
+function readSectionTable(relBuffer, relPtr) {
+  const numSections = relBuffer.readUInt32BE(0xc);
+  const sectionInfoAddr = relBuffer.readUInt32BE(0x10);
+  const bssSection = relBuffer.readUInt8(0x33);
+
+  const sections = [];
+
+  for (let i = 0; i < numSections; i++) {
+    const sectionTableEntryOffset =
+      (sectionInfoAddr + i * 8 - relPtr) & clearMsb;
+    const firstWord = relBuffer.readUInt32BE(sectionTableEntryOffset);
+    const sectionLength = relBuffer.readUInt32BE(sectionTableEntryOffset + 4);
+
+    // Prevent sign-extending first 32 bits.
+    const sectionAddr =
+      (firstWord & 0xfffffffc) + (firstWord & 0x80000000 ? 0x100000000 : 0);
+
+    sections.push({
+      index: i,
+      address: sectionAddr,
+      length: sectionLength,
+      executable: Boolean(firstWord & 1),
+      // Once linked, the bss section's address is where its memory was
+      // allocated, which is outside of the REL data.
+      bss: bssSection !== 0 && i === bssSection,
+    });
+  }
+
+  return sections;
+}
+
+/**
+ * Determines the name of each section (Ex: '.text') using the REL's map file.
+ * Sections are matched to the map's memory map by size. If the map file does
+ * not have a memory map, non-empty sections are matched to the map's section
+ * layouts in order.
+ *
+ * @param {array} sections Sections from `readSectionTable`. A `name` is added
+ * to each, which is null if it could not be determined.
+ * @param {object} relMap Data from parsed map file for REL
+ */
+function assignSectionNames(sections, relMap) {
+  const nonEmptySections = sections.filter((section) => section.length > 0);
+  sections.forEach((section) => {
+    section.name = null;
+  });
+
+  if (relMap.memoryMap.length > 0) {
+    const unused = relMap.memoryMap.filter((entry) => entry.size > 0);
+    nonEmptySections.forEach((section) => {
+      const index = unused.findIndex((entry) => entry.size === section.length);
+      if (index >= 0) {
+        section.name = unused[index].name;
+        unused.splice(index, 1);
+      }
+    });
+  } else {
+    const mapSectionNames = Object.keys(relMap.sections);
+    nonEmptySections.forEach((section, i) => {
+      if (i < mapSectionNames.length) {
+        section.name = mapSectionNames[i];
+      }
+    });
+  }
+}
+
+module.exports = {
+  assignSectionNames,
+  readRelHeader,
+  readSectionTable,
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * Prints the data which was read from a REL's header and section table.
+ */
+
+const chalk = require('chalk');
+const { sprintf } = require('sprintf-js');
+
+/**
+ * Formats the location of a function in a section, including its address and
+ * name from the REL map if they are known.
+ *
+ * @param {array} sections Sections from `readSectionTable`.
+ * @param {number} sectionIndex Index of section the function is in.
+ * @param {number} value Value of the header field. When the game links the
+ * REL, it adds the address of the section, so this is an address for a
+ * linked REL and an offset in the section otherwise.
+ * @param {object} relMap Data from parsed map file for REL, or null.
+ * @returns {string} Formatted text (Ex: '0x0 (805000a0 _prolog)')
+ */
+function formatSectionOffset(sections, sectionIndex, value, relMap) {
+  const section = sections[sectionIndex];
+  if (sectionIndex === 0 || !section) {
+    return sprintf('0x%x', value);
+  }
+
+  const offset = value >= 0x80000000 ? value - section.address : value;
+
+  const name =
+    relMap && section.name && relMap.sections[section.name]
+      ? relMap.sections[section.name][offset]
+      : null;
+  return sprintf(
+    '0x%x (%08x%s)',
+    offset,
+    section.address + offset,
+    name ? ' ' + name : ''
+  );
+}
+
+/**
+ * Prints every field of the OSModuleHeader and the decoded section table.
+ *
+ * @param {string} relName Name of REL (Ex: d_a_midna)
+ * @param {number} relPtr Address of start of REL data in memory
+ * @param {object} header Header fields from `readRelHeader`.
+ * @param {array} sections Sections from `readSectionTable`, with names if
+ * `assignSectionNames` was used.
+ * @param {object} relMap Data from parsed map file for REL, or null if the map
+ * file is missing.
+ */
+function printRelInfo(relName, relPtr, header, sections, relMap) {
+  const hex = (value) => sprintf('0x%x', value);
+  const address = (value) => sprintf('%08x', value);
+
+  const rows = [
+    ['id', hex(header.id)],
+    ['next', address(header.next)],
+    ['prev', address(header.prev)],
+    ['numSections', String(header.numSections)],
+    ['sectionInfoOffset', address(header.sectionInfoOffset)],
+    ['nameOffset', hex(header.nameOffset)],
+    ['nameSize', hex(header.nameSize)],
+    ['version', String(header.version)],
+    ['bssSize', hex(header.bssSize)],
+    ['relOffset', hex(header.relOffset)],
+    ['impOffset', hex(header.impOffset)],
+    ['impSize', hex(header.impSize)],
+    ['prologSection', String(header.prologSection)],
+    ['epilogSection', String(header.epilogSection)],
+    ['unresolvedSection', String(header.unresolvedSection)],
+    ['bssSection', String(header.bssSection)],
+    [
+      'prolog',
+      formatSectionOffset(
+        sections,
+        header.prologSection,
+        header.prolog,
+        relMap
+      ),
+    ],
+    [
+      'epilog',
+      formatSectionOffset(
+        sections,
+        header.epilogSection,
+        header.epilog,
+        relMap
+      ),
+    ],
+    [
+      'unresolved',
+      formatSectionOffset(
+        sections,
+        header.unresolvedSection,
+        header.unresolved,
+        relMap
+      ),
+    ],
+    ['align', header.align == null ? '-' : hex(header.align)],
+    ['bssAlign', header.bssAlign == null ? '-' : hex(header.bssAlign)],
+    ['fixSize', header.fixSize == null ? '-' : hex(header.fixSize)],
+  ];
+
+  console.log(
+    `\n${chalk.cyan(relName)}.rel at ${address(relPtr)}\n\nOSModuleHeader`
+  );
+  rows.forEach(([name, value]) => {
+    console.log(sprintf('  %-18s %s', name, value));
+  });
+
+  console.log('\nSections');
+  console.log(
+    sprintf(
+      '  %-5s  %-8s  %-8s  %-5s  %s',
+      'Index',
+      'Address',
+      'Length',
+      'Flags',
+      'Name'
+    )
+  );
+  sections.forEach((section) => {
+    let flags = '';
+    if (section.executable) {
+      flags = 'exec';
+    } else if (section.bss) {
+      flags = 'bss';
+    }
+    console.log(
+      sprintf(
+        '  %-5d  %08x  %-8s  %-5s  %s',
+        section.index,
+        section.address,
+        hex(section.length),
+        flags,
+        section.name || ''
+      )
+    );
+  });
+}
+
+module.exports = {
+  printRelInfo,
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * Prints the RELs which are loaded in a RAM dump.
+ */
+
+const chalk = require('chalk');
+const { sprintf } = require('sprintf-js');
+const { findRelByName } = require('./findRels');
+const RecognizedError = require('./RecognizedError');
+
+const sortFunctions = {
+  address: (a, b) => a.module - b.module,
+  id: (a, b) => a.id - b.id,
+};
+
+/**
+ * Builds the rows of the REL list from the c_dylink DMC array. Only RELs which
+ * are loaded are included.
+ *
+ * @param {array} dynamicModules List from `readDynamicModules`.
+ * @param {Buffer} dumpBuffer Buffer of RAM dump
+ * @returns {array} Rows for `printRelList`.
+ */
+function getRowsFromDynamicModules(dynamicModules, dumpBuffer) {
+  return dynamicModules
+    .filter((dm) => dm.module !== 0)
+    .map((dm) => {
+      const rel = findRelByName(dm.name);
+      const moduleOffset = dm.module & 0x7fffffff;
+      // Use the id from the REL header since that is what the game uses.
+      const id =
+        moduleOffset + 4 <= dumpBuffer.length
+          ? dumpBuffer.readUInt32BE(moduleOffset)
+          : 0;
+      return {
+        id,
+        name: dm.name,
+        module: dm.module,
+        size: dm.size,
+        bss: dm.bss,
+        state: dm.state,
+        readable: rel ? rel.readable : '',
+        notes: rel && rel.notes ? rel.notes : '',
+      };
+    });
+}
+
+/**
+ * Builds the rows of the REL list from the OS module queue. The size of each
+ * REL is not known, and every REL in the queue has been linked.
+ *
+ * @param {array} modules List of modules from `readModuleList`.
+ * @returns {array} Rows for `printRelList`.
+ */
+function getRowsFromModuleList(modules) {
+  return modules.map((m) => {
+    const rel = m.name ? findRelByName(m.name) : null;
+    return {
+      id: m.id,
+      name: m.name || '?',
+      module: m.address,
+      size: null,
+      bss: m.bss,
+      state: 'linked',
+      readable: rel ? rel.readable : '',
+      notes: rel && rel.notes ? rel.notes : '',
+    };
+  });
+}
+
+/**
+ * Prints every loaded REL, along with the readable name and notes for each.
+ *
+ * @param {array} rows Rows from `getRowsFromDynamicModules` or
+ * `getRowsFromModuleList`.
+ * @param {string} sortBy 'address' or 'id'
+ * @param {string} sourceText Describes where the RELs were found.
+ */
+function printRelList(rows, sortBy, sourceText) {
+  const sortFunction = sortFunctions[sortBy];
+  if (!sortFunction) {
+    throw new RecognizedError(
+      `Invalid sort '${sortBy}'. Expected one of: ${Object.keys(
+        sortFunctions
+      ).join(', ')}`
+    );
+  }
+
+  const sortedRows = rows.slice().sort(sortFunction);
+  const nameWidth = Math.max(4, ...sortedRows.map((row) => row.name.length));
+
+  console.log(`\nLoaded RELs: ${sortedRows.length} (${sourceText})\n`);
+  console.log(
+    sprintf(
+      `  %-4s  %-${nameWidth}s  %-8s  %-8s  %-8s  %-6s  %s`,
+      'Id',
+      'Name',
+      'Address',
+      'Size',
+      'Bss',
+      'State',
+      'Readable'
+    )
+  );
+  sortedRows.forEach((row) => {
+    const notesText = row.notes ? ` (${row.notes})` : '';
+    console.log(
+      sprintf(
+        `  %04x  %s  %08x  %-8s  %08x  %-6s  %s%s`,
+        row.id,
+        chalk.cyan(sprintf(`%-${nameWidth}s`, row.name)),
+        row.module,
+        row.size == null ? '-' : sprintf('0x%x', row.size),
+        row.bss,
+        row.state,
+        row.readable,
+        notesText
+      )
+    );
+  });
+}
+
+/**
+ * Prints the differences between the c_dylink DMC array and the OS module
+ * queue.
+ *
+ * @param {object} result Result of `crossCheckModules`.
+ */
+function printCrossCheck(result) {
+  const { onlyInDmc, notLinked, onlyInModuleList } = result;
+
+  if (
+    onlyInDmc.length === 0 &&
+    notLinked.length === 0 &&
+    onlyInModuleList.length === 0
+  ) {
+    console.log('\nDMC array and OS module list agree.');
+    return;
+  }
+
+  if (onlyInDmc.length > 0) {
+    console.warn(
+      chalk.yellow('\nLinked according to DMC array, but not in module list:')
+    );
+    onlyInDmc.forEach((dm) => {
+      console.warn(chalk.yellow(sprintf('  %08x %s', dm.module, dm.name)));
+    });
+  }
+  if (notLinked.length > 0) {
+    console.log('\nLoaded but not linked yet:');
+    notLinked.forEach((dm) => {
+      console.log(sprintf('  %08x %s', dm.module, dm.name));
+    });
+  }
+  if (onlyInModuleList.length > 0) {
+    console.log('\nIn module list, but not in DMC array:');
+    onlyInModuleList.forEach((m) => {
+      console.log(
+        sprintf('  %08x %04x %s', m.address, m.id, m.name || 'unknown')
+      );
+    });
+  }
+}
+
+module.exports = {
+  getRowsFromDynamicModules,
+  getRowsFromModuleList,
+  printCrossCheck,
+  printRelList,
+};
@@ -0,0 +1,803 @@
+'use strict';
+
+/**
+ * Builds a structured description of a REL which is loaded in a RAM dump: its
+ * sections, the functions and instructions in its text sections, and the
+ * symbols in its other sections. Every output format is written from this.
+ */
+
+const { sprintf } = require('sprintf-js');
+const { resolveAddressPairs } = require('./addressPairs');
+const { disassemble } = require('./disassembler');
+const { findJumpTables } = require('./jumpTables');
+const { assignSectionNames, readSectionTable } = require('./relHeader');
+const {
+  getRelocationTypeName,
+  isBranchRelocation,
+  relocationTypes,
+} = require('./relocations');
+const { findContainingSymbol, getRelSymbols } = require('./relSymbols');
+const { buildXrefs } = require('./xrefs');
+
+// Used to clear most significant bit.
+const clearMsb = 0x7fffffff;
+
+// prettier-ignore
+const labelNames = [
+  'APPLE',      'BANANA',    'CHOCOLATE', 'DONUT',     'EGGPLANT', 'FLAMINGO',
+  'GRAPEFRUIT', 'HARPOON',   'IGLOO',     'JELLYFISH', 'KAYAK',    'LOBSTER',
+  'MILK',       'NOODLE',    'ORANGE',    'PAPER',     'QUARTZ',   'RASPBERRY',
+  'SANDWICH',   'TANGERINE', 'UNICORN',   'VIOLIN',    'WATER',    'XRAY',
+  'YOYO',       'ZEBRA',
+];
+
+let relBuffer = null;
+let relPtr = 0;
+let relName = '';
+let relMap = {};
+let frameworkMap = {};
+let dumpBuffer = null;
+// Registers which hold an address in every function (r13 and r2), keyed by
+// register number.
+let baseRegisters = {};
+// Symbols of the REL and frameworkF.map at their addresses in memory, sorted
+// by address (see `getRelSymbols`).
+let symbols = [];
+let sections = [];
+let relModuleId = 0;
+let importMaps = {};
+// Keys are addresses of words which were patched by a relocation, and values
+// are lists of relocations (with `moduleId` added) which patched that word.
+let relocationsByAddress = {};
+// Keys are addresses of `bctr` instructions, and values are the jump tables
+// from `findJumpTables` which they use (for the text section currently being
+// processed).
+let jumpTablesByAddress = {};
+
+// branchDestinations shape (for the text section currently being processed):
+// {
+//   functionOffsetInSection: { // Ex: '148'
+//     'destAddress': 'BASE_LABEL', // Ex: 2161270244: 'APPLE'
+//     'destAddress2': 'BASE_LABEL_2', // Ex: 2161270272: 'FINISH_FUNCTION'
+//   },
+// }
+let branchDestinations = {};
+
+/**
+ * Builds the structured description of a REL.
+ *
+ * @param {object} options
+ * @param {Buffer} options.relBuffer Contains REL data from RAM dump.
+ * @param {number} options.relPtr Address of start of REL data in memory
+ * @param {string} options.relName Name of REL (Ex: d_a_midna)
+ * @param {object} options.relMap Data from parsed map file for REL
+ * @param {object} options.frameworkMap Symbols from all sections of
+ * frameworkF.map
+ * @param {array} options.frameworkSymbols Symbols from `getFrameworkSymbols`
+ * @param {object} options.smallDataBases Data from `findSmallDataBases`
+ * @param {Buffer} options.dumpBuffer Buffer of RAM dump, for reading values
+ * outside of the REL.
+ * @param {object} options.relocations Data from `readRelocations`
+ * @param {object} options.importMaps Maps and section tables of other RELs
+ * which this REL has relocations against, keyed by module id (see
+ * `readImportMaps`).
+ * @returns {object} Object with `name`, `id`, `address`, `version`,
+ * `sections` and `xrefs` (see `buildXrefs`). Only non-empty sections are
+ * included. Each section has `index`,
+ * `name`, `address`, `length` and `type` ('text', 'data' or 'bss'). Text
+ * sections have `functions` (see `buildFunctions`), and other sections have
+ * `symbols` (see `buildDataSymbols` and `buildBssSymbols`).
+ */
+function buildRelModel(options) {
+  relBuffer = options.relBuffer;
+  relPtr = options.relPtr;
+  relName = options.relName;
+  relMap = options.relMap;
+  frameworkMap = options.frameworkMap;
+  importMaps = options.importMaps;
+  dumpBuffer = options.dumpBuffer;
+  baseRegisters = {};
+  const { sdaBase, sda2Base } = options.smallDataBases;
+  if (sdaBase != null) {
+    baseRegisters[13] = sdaBase;
+  }
+  if (sda2Base != null) {
+    baseRegisters[2] = sda2Base;
+  }
+  relModuleId = relBuffer.readUInt32BE(0);
+
+  sections = readSectionTable(relBuffer, relPtr);
+  assignSectionNames(sections, relMap);
+  symbols = getRelSymbols(sections, relMap)
+    .concat(options.frameworkSymbols)
+    .sort((a, b) => a.address - b.address);
+  indexRelocations(options.relocations);
+
+  const rel = {
+    name: relName,
+    id: relModuleId,
+    address: relPtr,
+    version: relBuffer.readUInt32BE(0x1c),
+    sections: sections
+      .filter((section) => section.length > 0)
+      .map((section) => {
+        const model = {
+          index: section.index,
+          name: section.name,
+          address: section.address,
+          length: section.length,
+        };
+        if (section.executable) {
+          model.type = 'text';
+          model.functions = buildFunctions(section);
+        } else if (section.bss) {
+          model.type = 'bss';
+          model.symbols = buildBssSymbols(section);
+        } else {
+          model.type = 'data';
+          model.symbols = buildDataSymbols(section);
+        }
+        return model;
+      }),
+  };
+  rel.xrefs = buildXrefs(rel);
+  return rel;
+}
+
+/**
+ * Fills in `relocationsByAddress` so relocations can be looked up by the
+ * address of the word they patched.
+ *
+ * @param {object} relocations Data from `readRelocations`
+ */
+function indexRelocations(relocations) {
+  relocationsByAddress = {};
+
+  relocations.imports.forEach((imp) => {
+    imp.relocations.forEach((relocation) => {
+      const section = sections[relocation.section];
+      const key = (section.address + relocation.offset) & ~3 & clearMsb;
+      if (!relocationsByAddress[key]) {
+        relocationsByAddress[key] = [];
+      }
+      relocationsByAddress[key].push({
+        moduleId: imp.moduleId,
+        ...relocation,
+      });
+    });
+  });
+}
+
+/**
+ * Returns the relocations which patched the word at an address.
+ *
+ * @param {number} address Address of word.
+ * @returns {array} List of relocations from `describeRelocation`, which is
+ * empty if there are none.
+ */
+function getRelocations(address) {
+  return (relocationsByAddress[address & clearMsb] || []).map(
+    describeRelocation
+  );
+}
+
+/**
+ * Describes a relocation and what it points to.
+ *
+ * @param {object} relocation Relocation from `relocationsByAddress`
+ * @returns {object} Object with `type`, `typeName`, `moduleId`,
+ * `targetSection`, `addend` and `target` (see `describeRelocationTarget`).
+ */
+function describeRelocation(relocation) {
+  const { moduleId, type, targetSection, addend } = relocation;
+  return {
+    type,
+    typeName: getRelocationTypeName(type),
+    moduleId,
+    targetSection,
+    addend,
+    target: describeRelocationTarget(relocation),
+  };
+}
+
+/**
+ * Describes what a relocation points to.
+ *
+ * @param {object} relocation Relocation from `relocationsByAddress`
+ * @returns {object} Object with `module` (name of the target module),
+ * `address` (null if the target is in another REL whose section table is
+ * not known), `name` (null if not found in a map), and `location` which
+ * describes the module, section and offset.
+ */
+function describeRelocationTarget(relocation) {
+  const { moduleId, targetSection, addend } = relocation;
+
+  if (moduleId === 0) {
+    return {
+      module: 'frameworkF',
+      address: addend,
+      name: frameworkMap[addend] || null,
+      location: sprintf('frameworkF %08x', addend),
+    };
+  } else if (moduleId === relModuleId) {
+    const section = sections[targetSection];
+    return {
+      module: relName,
+      address: section ? section.address + addend : null,
+      name: (section && getSectionMap(section)[addend]) || null,
+      location: sprintf('%s %d:0x%x', relName, targetSection, addend),
+    };
+  }
+
+  const imp = importMaps[moduleId];
+  const impName = imp ? imp.name : sprintf('module_%x', moduleId);
+  // The other REL's section table is only known if it is in the OS module
+  // list, and the name of the section only if it also has a map. Otherwise
+  // only `location` describes the target.
+  const section = imp && imp.sections ? imp.sections[targetSection] : null;
+  const sectionMap =
+    section && section.name ? imp.map.sections[section.name] : null;
+  const name = (sectionMap && sectionMap[addend]) || null;
+  return {
+    module: impName,
+    address: section ? section.address + addend : null,
+    name,
+    location: sprintf('%s %d:0x%x', impName, targetSection, addend),
+  };
+}
+
+/**
+ * Returns the symbols from the REL map for a section.
+ *
+ * @param {object} section Section from the section table.
+ * @returns {object} Keys are offsets in the section and values are names.
+ */
+function getSectionMap(section) {
+  return (section.name && relMap.sections[section.name]) || {};
+}
+
+/**
+ * Finds the REL section which contains an address.
+ *
+ * @param {number} address Address to look for.
+ * @returns {object} Section from the section table, or null if none contain
+ * the address.
+ */
+function findSectionForAddress(address) {
+  return (
+    sections.find(
+      (section) =>
+        section.length > 0 &&
+        address >= section.address &&
+        address < section.address + section.length
+    ) || null
+  );
+}
+
+/**
+ * Disassembles a text section and splits it into functions. A new function
+ * starts at the beginning of the section and at every symbol from the REL map.
+ *
+ * @param {object} section Text section from the section table.
+ * @returns {array} List of { name, offset, address, instructions } where
+ * `name` is null if the function is not in the REL map. Each instruction is
+ * an object with:
+ * - `address`, `offset` (in the section) and `word`
+ * - `mnemonic` and `operands` as disassembled
+ * - `branchTarget`: Address the instruction branches to, or null.
+ * - `symbol`: Name of what a `bl` calls or what a relocated branch targets,
+ *   or null.
+ * - `location`: Where a `bl` target is when it is not in frameworkF (Ex:
+ *   '0x34' for the same section), or null.
+ * - `label`: Label of this instruction if something branches to it, or null.
+ * - `targetLabel`: Label of the branch target, or null.
+ * - `relocations`: List from `describeRelocation` for this word.
+ * - `jumpTable`: For a `bctr` which jumps through a switch jump table,
+ *   { address, symbol, cases } where `cases` is a list of
+ *   { value, target, label } for each case (`label` is null if the target is
+ *   in another function). Otherwise null.
+ * - `reference`: Address built from a `lis` and this instruction, or accessed
+ *   relative to r13 or r2 (see `resolveAddressPairs`), as
+ *   { address, symbol, float }. `symbol` is the name of the symbol which
+ *   contains it, or null. `float` is the value which `lfs` or `lfd` loads, or
+ *   null.
+ */
+function buildFunctions(section) {
+  const { address: sectionAddr, length: sectionLength } = section;
+  const sectionMap = getSectionMap(section);
+
+  indexJumpTables(section);
+  populateBranchDestinations(sectionAddr, sectionLength, sectionMap);
+
+  const functions = [];
+  let currFn = null;
+  let currRelFnOffset = 0;
+
+  disassembleSection(sectionAddr, sectionLength, (instr, offsetInSection) => {
+    if (sectionMap[offsetInSection]) {
+      currRelFnOffset = offsetInSection;
+    }
+    if (!currFn || sectionMap[offsetInSection]) {
+      currFn = {
+        name: sectionMap[offsetInSection] || null,
+        offset: offsetInSection,
+        address: sectionAddr + offsetInSection,
+        instructions: [],
+      };
+      functions.push(currFn);
+    }
+
+    const address = sectionAddr + offsetInSection;
+    const tabIndex = instr.indexOf('\t');
+    const instruction = {
+      address,
+      offset: offsetInSection,
+      word: relBuffer.readUInt32BE(address - relPtr),
+      mnemonic: instr.substring(0, tabIndex),
+      operands: instr.substring(tabIndex + 1),
+      branchTarget: null,
+      symbol: null,
+      location: null,
+      label: null,
+      targetLabel: null,
+      relocations: getRelocations(address),
+      jumpTable: null,
+      reference: null,
+    };
+    currFn.instructions.push(instruction);
+
+    const fnLabels = branchDestinations[currRelFnOffset];
+    if (fnLabels[address]) {
+      instruction.label = sprintf('%s_%08x', fnLabels[address], address);
+    }
+
+    const jumpTable = jumpTablesByAddress[address];
+    if (jumpTable) {
+      instruction.jumpTable = {
+        address: jumpTable.address,
+        symbol: describeContainingAddress(jumpTable.address),
+        cases: jumpTable.targets.map((target, value) => ({
+          value,
+          target,
+          label: fnLabels[target]
+            ? sprintf('%s_%08x', fnLabels[target], target)
+            : null,
+        })),
+      };
+    }
+
+    const branchRelocation = instruction.relocations.find((relocation) =>
+      isBranchRelocation(relocation.type)
+    );
+
+    const match = instr.match(/^(b[\S]*)\s*->0x([0-9a-f]{8})/);
+    if (!match) {
+      return;
+    }
+
+    const branchInstr = match[1];
+    const targetAddr = Number('0x' + match[2]);
+    instruction.branchTarget = targetAddr;
+
+    if (branchInstr === 'bl') {
+      let blName = frameworkMap[targetAddr];
+      if (branchRelocation) {
+        const { target } = branchRelocation;
+        blName = target.name;
+        if (
+          branchRelocation.moduleId === relModuleId &&
+          branchRelocation.targetSection === section.index
+        ) {
+          instruction.location = sprintf('0x%x', branchRelocation.addend);
+        } else if (branchRelocation.moduleId !== 0) {
+          instruction.location = target.location;
+        }
+      } else if (!blName) {
+        const targetSection = findSectionForAddress(targetAddr);
+        if (targetSection) {
+          const a = (targetAddr - targetSection.address) & clearMsb;
+          instruction.location =
+            targetSection === section
+              ? sprintf('0x%x', a)
+              : sprintf('%d:0x%x', targetSection.index, a);
+          blName = getSectionMap(targetSection)[a];
+        }
+      }
+      instruction.symbol = blName || null;
+    } else if (branchInstr !== 'blr') {
+      if (fnLabels[targetAddr]) {
+        instruction.targetLabel = sprintf(
+          '%s_%08x',
+          fnLabels[targetAddr],
+          targetAddr
+        );
+      } else if (branchRelocation) {
+        instruction.symbol = branchRelocation.target.name;
+      }
+    }
+  });
+
+  functions.forEach((fn) => {
+    resolveAddressPairs(fn.instructions, baseRegisters).forEach(
+      (refAddress, i) => {
+        if (refAddress != null) {
+          const instruction = fn.instructions[i];
+          instruction.reference = {
+            address: refAddress,
+            symbol: describeContainingAddress(refAddress),
+            float: readFloatOperand(instruction.mnemonic, refAddress),
+          };
+        }
+      }
+    );
+  });
+
+  return functions;
+}
+
+/**
+ * Fills in `jumpTablesByAddress` with the switch jump tables used by each
+ * function in a text section. Tables with an entry outside of the section are
+ * left out, since the code only looked like a switch.
+ *
+ * @param {object} section Text section from the section table.
+ */
+function indexJumpTables(section) {
+  const { address: sectionAddr, length: sectionLength } = section;
+  const sectionOffset = sectionAddr - relPtr;
+  const sectionMap = getSectionMap(section);
+
+  const functionStarts = Object.keys(sectionMap)
+    .map(Number)
+    .filter((offset) => offset > 0 && offset < sectionLength)
+    .sort((a, b) => a - b);
+  functionStarts.unshift(0);
+
+  jumpTablesByAddress = {};
+
+  functionStarts.forEach((start, i) => {
+    const end =
+      i + 1 < functionStarts.length ? functionStarts[i + 1] : sectionLength;
+    const instructions = [];
+    for (let offset = start; offset < end; offset += 4) {
+      instructions.push({
+        address: sectionAddr + offset,
+        word: relBuffer.readUInt32BE(sectionOffset + offset),
+      });
+    }
+
+    findJumpTables(instructions, readWord).forEach((jumpTable) => {
+      const inSection = jumpTable.targets.every(
+        (target) =>
+          target >= sectionAddr &&
+          target < sectionAddr + sectionLength &&
+          target % 4 === 0
+      );
+      if (inSection) {
+        jumpTablesByAddress[jumpTable.bctrAddress] = jumpTable;
+      }
+    });
+  });
+}
+
+/**
+ * Reads a word from the RAM dump.
+ *
+ * @param {number} address Address of the word.
+ * @returns {number} Word, or null if the address is not in the RAM dump.
+ */
+function readWord(address) {
+  const offset = address - 0x80000000;
+  if (offset < 0 || offset + 4 > dumpBuffer.length) {
+    return null;
+  }
+  return dumpBuffer.readUInt32BE(offset);
+}
+
+/**
+ * Splits a data section up by the symbols from the REL map. Words which look
+ * like pointers or floats are interpreted.
+ *
+ * @param {object} section Data section from the section table.
+ * @returns {array} List of { name, offset, address, size, bytes, words }.
+ * `name` is null for any data before the first symbol. `bytes` is a Buffer of
+ * the symbol's data, and `words` is a list of interpretations from
+ * `interpretWord`.
+ */
+function buildDataSymbols(section) {
+  const { address: sectionAddr, length: sectionLength } = section;
+  const sectionOffset = sectionAddr - relPtr;
+  const sectionMap = getSectionMap(section);
+
+  const symbolOffsets = Object.keys(sectionMap)
+    .map(Number)
+    .filter((offset) => offset < sectionLength);
+
+  // Each chunk is the data for one symbol, except for any data before the
+  // first symbol.
+  const chunkStarts = symbolOffsets[0] === 0 ? [] : [0];
+  chunkStarts.push(...symbolOffsets);
+
+  return chunkStarts.map((chunkStart, i) => {
+    const chunkEnd =
+      i + 1 < chunkStarts.length ? chunkStarts[i + 1] : sectionLength;
+
+    const words = [];
+    for (let offset = chunkStart; offset + 4 <= chunkEnd; offset += 4) {
+      const wordAddr = sectionAddr + offset;
+      if (wordAddr % 4 !== 0) {
+        continue;
+      }
+      const word = relBuffer.readUInt32BE(sectionOffset + offset);
+      const interpretation = interpretWord(word, wordAddr);
+      if (interpretation) {
+        words.push(interpretation);
+      }
+    }
+
+    return {
+      name: sectionMap[chunkStart] || null,
+      offset: chunkStart,
+      address: sectionAddr + chunkStart,
+      size: chunkEnd - chunkStart,
+      bytes: relBuffer.slice(
+        sectionOffset + chunkStart,
+        sectionOffset + chunkEnd
+      ),
+      words,
+    };
+  });
+}
+
+/**
+ * Lists the symbols in a bss section. The contents are not included since
+ * they are only filled in at runtime.
+ *
+ * @param {object} section Bss section from the section table.
+ * @returns {array} List of { name, offset, address, size }
+ */
+function buildBssSymbols(section) {
+  const { address: sectionAddr, length: sectionLength } = section;
+  const sectionMap = getSectionMap(section);
+
+  const symbolOffsets = Object.keys(sectionMap)
+    .map(Number)
+    .filter((offset) => offset < sectionLength);
+
+  return symbolOffsets.map((offset, i) => {
+    const end =
+      i + 1 < symbolOffsets.length ? symbolOffsets[i + 1] : sectionLength;
+    return {
+      name: sectionMap[offset],
+      offset,
+      address: sectionAddr + offset,
+      size: end - offset,
+    };
+  });
+}
+
+/**
+ * Interprets a word from a data section as a pointer or float if it looks
+ * like one. Words which were patched by a relocation are always pointers.
+ *
+ * @param {number} word Word from a data section.
+ * @param {number} wordAddr Address of the word.
+ * @returns {object} Object with `address`, `value` and `kind`. If `kind` is
+ * 'pointer', `symbol` is the name of what it points to (or null) and
+ * `relocation` is from `describeRelocation` (or null). If `kind` is 'float',
+ * `float` is its value. Returns null if the word does not look like a pointer
+ * or float.
+ */
+function interpretWord(word, wordAddr) {
+  const relocation = getRelocations(wordAddr).find(
+    (r) => r.type === relocationTypes.R_PPC_ADDR32
+  );
+  if (relocation) {
+    return {
+      address: wordAddr,
+      value: word,
+      kind: 'pointer',
+      symbol: relocation.target.name,
+      relocation,
+    };
+  }
+
+  if (word >= 0x80000000 && word < 0x81800000) {
+    return {
+      address: wordAddr,
+      value: word,
+      kind: 'pointer',
+      symbol: describeAddress(word),
+      relocation: null,
+    };
+  }
+
+  // Only consider floats whose magnitude is roughly between 1e-6 and 1e7, and
+  // which do not use the low bits of the mantissa. Anything else is more
+  // likely to be an integer, flags or text.
+  const exponent = (word >>> 23) & 0xff;
+  if (exponent >= 0x6c && exponent <= 0x96 && (word & 0xfff) === 0) {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32BE(word);
+    return {
+      address: wordAddr,
+      value: word,
+      kind: 'float',
+      float: buf.readFloatBE(0),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Looks up the name of the symbol at an address in frameworkF.map or in the
+ * REL map.
+ *
+ * @param {number} address Address to look up.
+ * @returns {string} Name of symbol, or null if none is known.
+ */
+function describeAddress(address) {
+  if (frameworkMap[address]) {
+    return frameworkMap[address];
+  }
+
+  const section = findSectionForAddress(address);
+  if (section) {
+    const offset = address - section.address;
+    const name = getSectionMap(section)[offset];
+    return name || sprintf('(section %d + 0x%x)', section.index, offset);
+  }
+
+  return null;
+}
+
+/**
+ * Reads the value which a float load instruction loads from the RAM dump.
+ *
+ * @param {string} mnemonic Mnemonic of the instruction.
+ * @param {number} address Address which the instruction loads from.
+ * @returns {number} Value which is loaded, or null if the instruction is not
+ * `lfs` or `lfd` or the address is not in the RAM dump.
+ */
+function readFloatOperand(mnemonic, address) {
+  const size = { lfs: 4, lfsu: 4, lfd: 8, lfdu: 8 }[mnemonic];
+  const offset = address - 0x80000000;
+  if (!size || offset < 0 || offset + size > dumpBuffer.length) {
+    return null;
+  }
+  return size === 4
+    ? dumpBuffer.readFloatBE(offset)
+    : dumpBuffer.readDoubleBE(offset);
+}
+
+/**
+ * Names the symbol which contains an address, in the REL map or in
+ * frameworkF.map.
+ *
+ * @param {number} address Address to look up.
+ * @returns {string} Name of symbol, with the offset into it if not at the
+ * start (Ex: 'g_dComIfG_gameInfo+0x4f80'), or null if none is known.
+ */
+function describeContainingAddress(address) {
+  const symbol = findContainingSymbol(symbols, address);
+  if (!symbol) {
+    return null;
+  }
+  return symbol.address === address
+    ? symbol.name
+    : sprintf('%s+0x%x', symbol.name, address - symbol.address);
+}
+
+/**
+ * Scans through the text section and keeps track of destination addresses of
+ * different branch instructions.
+ *
+ * @param {number} sectionAddr Address of text section
+ * @param {number} sectionLength Length of text section
+ * @param {object} sectionMap Symbols from the REL map for the text section
+ */
+function populateBranchDestinations(sectionAddr, sectionLength, sectionMap) {
+  const obj = { 0: {} };
+
+  let currRelFnOffset = 0;
+
+  branchDestinations = {};
+
+  disassembleSection(sectionAddr, sectionLength, (instr, offsetInSection) => {
+    if (sectionMap[offsetInSection]) {
+      currRelFnOffset = offsetInSection;
+      obj[currRelFnOffset] = {};
+    }
+    const fnObj = obj[currRelFnOffset];
+    const currAddr = sectionAddr + offsetInSection;
+
+    const addDestination = (bDestNum) => {
+      if (!fnObj[bDestNum]) {
+        fnObj[bDestNum] = { reachedFromBelow: false };
+        // console.log('2nd thing branching to same location');
+      }
+
+      if (!fnObj[bDestNum].reachedFromBelow) {
+        if (currAddr > bDestNum) {
+          fnObj[bDestNum].reachedFromBelow = true;
+        }
+      }
+    };
+
+    // Every case of a switch is a destination of its bctr.
+    const jumpTable = jumpTablesByAddress[currAddr];
+    if (jumpTable) {
+      jumpTable.targets.forEach(addDestination);
+    }
+
+    const match = instr.match(/^(b[\S]*)\s*->0x([0-9a-f]{8})/);
+    if (!match) {
+      return;
+    }
+    const branchInstr = match[1];
+    if (branchInstr !== 'bl') {
+      addDestination(Number('0x' + match[2]));
+    }
+  });
+
+  Object.keys(obj).forEach((fnOffset) => {
+    const fnObj = obj[fnOffset];
+    const arr = Object.keys(fnObj).sort();
+    let addrForFinishFn = null;
+
+    if (arr.length > 0 && !fnObj[arr[arr.length - 1]].reachedFromBelow) {
+      addrForFinishFn = arr[arr.length - 1];
+    }
+
+    const resultObj = {};
+    let labelIndex = 0;
+    Object.keys(fnObj).forEach((bDest) => {
+      if (bDest === addrForFinishFn) {
+        resultObj[bDest] = 'FINISH_FUNCTION';
+      } else if (labelIndex < 26) {
+        resultObj[bDest] = labelNames[labelIndex];
+      } else {
+        const numChars = Math.floor(labelIndex / 26);
+        const character = String.fromCharCode(0x61 + (labelIndex % 26));
+        let label = '';
+        for (let i = 0; i < numChars; i++) {
+          label += character;
+        }
+        resultObj[bDest] = label;
+      }
+      labelIndex++;
+    });
+
+    branchDestinations[fnOffset] = resultObj;
+  });
+}
+
+/**
+ * Iterates through the text section, and notifies the callback of every
+ * disassembled instruction.
+ *
+ * @param {number} sectionAddr Address of text section
+ * @param {number} sectionLength Length of text section
+ * @param {function} callback Notified after each instructions is disassembled.
+ * Params are the instruction text and the offset to the instruction in the text
+ * section.
+ */
+function disassembleSection(sectionAddr, sectionLength, callback) {
+  const sectionOffset = sectionAddr - relPtr;
+
+  for (
+    let offsetInSection = 0;
+    offsetInSection < sectionLength;
+    offsetInSection += 4
+  ) {
+    const word = relBuffer.readUInt32BE(sectionOffset + offsetInSection);
+    let instr = disassemble(word, sectionAddr + offsetInSection);
+
+    callback(instr, offsetInSection);
+  }
+}
+
+module.exports = {
+  buildRelModel,
+};
@@ -1,331 +1,163 @@
 'use strict';
 
-const chalk = require('chalk');
-const fs = require('fs-extra');
-const path = require('path');
-const { sprintf } = require('sprintf-js');
-const askYesNo = require('./askYesNo');
-const { disassemble } = require('./disassembler');
-
-// Used to clear most significant bit.
-const clearMsb = 0x7fffffff;
-
-// prettier-ignore
-const labelNames = [
-  'APPLE',      'BANANA',    'CHOCOLATE', 'DONUT',     'EGGPLANT', 'FLAMINGO',
-  'GRAPEFRUIT', 'HARPOON',   'IGLOO',     'JELLYFISH', 'KAYAK',    'LOBSTER',
-  'MILK',       'NOODLE',    'ORANGE',    'PAPER',     'QUARTZ',   'RASPBERRY',
-  'SANDWICH',   'TANGERINE', 'UNICORN',   'VIOLIN',    'WATER',    'XRAY',
-  'YOYO',       'ZEBRA',
-];
-
-const EQUALS_DIVIDER = '==================================================\n';
-
-let relBuffer = null;
-let relPtr = 0;
-let relName = '';
-let relMap = {};
-let frameworkMap = {};
-let outputFile = null;
-
-// branchDestinations shape:
-// {
-//   functionOffsetInSection: { // Ex: '148'
-//     'destAddress': 'BASE_LABEL', // Ex: 2161270244: 'APPLE'
-//     'destAddress2': 'BASE_LABEL_2', // Ex: 2161270272: 'FINISH_FUNCTION'
-//   },
-// }
-const branchDestinations = {};
+const { writeCallGraph, writeXrefsJson } = require('./callGraphWriter');
+const { writeCfg } = require('./cfgWriter');
+const { formatName } = require('./demangler');
+const { writeGas } = require('./gasWriter');
+const { writeHtml } = require('./htmlWriter');
+const { writeJson } = require('./jsonWriter');
+const { writeOutputFile } = require('./outputFile');
+const { buildRelModel } = require('./relModel');
+const { writeText } = require('./textWriter');
+
+// Keys are the names of output formats. Formats with `showsNames` are only
+// read by people, so can show demangled names. The others need the names as
+// they are in the map files.
+const outputFormats = {
+  text: { extension: '.txt', write: writeText, showsNames: true },
+  json: { extension: '.json', write: writeJson },
+  gas: { extension: '.s', write: writeGas },
+  html: { extension: '.html', write: writeHtml, showsNames: true },
+  cfg: { extension: '-cfg.dot', write: writeCfg, showsNames: true },
+  callgraph: {
+    extension: '-callgraph.dot',
+    write: writeCallGraph,
+    showsNames: true,
+  },
+  xrefs: { extension: '-xrefs.json', write: writeXrefsJson },
+};
 
 /**
- * Asks user if they would like to overwrite existing outputFile.
+ * Formats a symbol name which may be followed by an offset into the symbol
+ * (Ex: 'mData__9daMidna_c+0x4').
  *
- * @returns {boolean} true if can write, false if cannot
+ * @param {string} name Symbol name, or null.
+ * @param {string} style Value of `--names`
+ * @returns {string} Formatted name, or null.
  */
-async function checkCanWriteFile() {
-  if (fs.existsSync(outputFile)) {
-    return await askYesNo(
-      `\nFile '${path.basename(outputFile)}' already exists. Overwrite ? [y/N]`,
-      (answer) => answer.length > 0 && answer[0].toLowerCase() === 'y'
-    );
+function formatSymbol(name, style) {
+  if (!name) {
+    return name;
   }
-  return true;
+  const match = name.match(/^(.+?)(\+0x[0-9a-f]+)?$/);
+  return formatName(match[1], style) + (match[2] || '');
 }
 
 /**
- * Processes the REL data in the RAM dump, and creates an output file with the
- * disassembled instructions.
+ * Changes every symbol name in a REL's model to the style chosen with
+ * `--names`.
  *
- * @param {Buffer} relBufferIn Contains REL data from RAM dump.
- * @param {number} relPtrIn Address of start of REL data in memory
- * @param {string} relNameIn Name of REL (Ex: d_a_midna)
- * @param {object} relMapIn Data from parsed map file for REL
- * @param {object} frameworkMapIn Data from parsed frameworkF.map
- * @param {string} outputFileIn Filepath to write disassembled output to.
- * @returns {boolean} true if wrote file, else false
+ * @param {object} model Data from `buildRelModel`
+ * @param {string} style 'demangled' or 'both'.
  */
-async function processRel(
-  relBufferIn,
-  relPtrIn,
-  relNameIn,
-  relMapIn,
-  frameworkMapIn,
-  outputFileIn
-) {
-  relBuffer = relBufferIn;
-  relPtr = relPtrIn;
-  relName = relNameIn;
-  relMap = relMapIn;
-  frameworkMap = frameworkMapIn;
-  outputFile = outputFileIn;
-
-  const numSections = relBuffer.readUInt32BE(0xc);
-  const sectionInfoAddr = relBuffer.readUInt32BE(0x10);
-
-  let textSection = null;
-  let numTextSections = 0;
-
-  for (let i = 0; i < numSections; i++) {
-    const sectionTableEntryOffset =
-      (sectionInfoAddr + i * 8 - relPtr) & clearMsb;
-    const firstWord = relBuffer.readUInt32BE(sectionTableEntryOffset);
-    const sectionLength = relBuffer.readUInt32BE(sectionTableEntryOffset + 4);
-
-    // Prevent sign-extending first 32 bits.
-    const sectionAddr =
-      (firstWord & 0xfffffffc) + (firstWord & 0x80000000 ? 0x100000000 : 0);
-
-    if (firstWord & 1) {
-      // section is executable
-      numTextSections++;
-      if (!textSection) {
-        textSection = { address: sectionAddr, length: sectionLength };
-      }
-    }
-  }
-
-  if (numTextSections > 1) {
-    console.warn(
-      chalk.yellow(
-        `Found ${numTextSections} text sections, but only designed to handle 1 right now.`
-      )
-    );
-  }
-
-  if (textSection) {
-    await fs.mkdirp(path.dirname(outputFile));
-
-    const canWriteOutput = await checkCanWriteFile();
-    if (!canWriteOutput) {
-      console.error(chalk.red('Not overwriting - exiting'));
+function applyNameStyle(model, style) {
+  const renameTarget = (relocation) => {
+    relocation.target.name = formatSymbol(relocation.target.name, style);
+  };
+
+  model.sections.forEach((section) => {
+    if (section.type === 'text') {
+      section.functions.forEach((fn) => {
+        fn.name = formatSymbol(fn.name, style);
+        fn.instructions.forEach((instruction) => {
+          instruction.symbol = formatSymbol(instruction.symbol, style);
+          instruction.relocations.forEach(renameTarget);
+          if (instruction.reference) {
+            instruction.reference.symbol = formatSymbol(
+              instruction.reference.symbol,
+              style
+            );
+          }
+          if (instruction.jumpTable) {
+            instruction.jumpTable.symbol = formatSymbol(
+              instruction.jumpTable.symbol,
+              style
+            );
+          }
+        });
+      });
       return;
     }
 
-    processTextSection(textSection.address, textSection.length);
-
-    return true;
-  }
-  return false;
-}
-
-/**
- * Disassembles text section and writes to output file.
- *
- * @param {number} sectionAddr Address of text section
- * @param {number} sectionLength Length of text section
- */
-function processTextSection(sectionAddr, sectionLength) {
-  populateBranchDestinations(sectionAddr, sectionLength);
-
-  fs.removeSync(outputFile);
-
-  const stream = fs.createWriteStream(outputFile, { flags: 'a' });
-
-  stream.write(`${relName}.rel\n\n`);
-
-  let startingNewFn = true;
-  let leaveBlankLine = false;
-
-  let currRelFnOffset = 0;
-
-  disassembleSection(sectionAddr, sectionLength, (instr, offsetInSection) => {
-    if (relMap[offsetInSection]) {
-      currRelFnOffset = offsetInSection;
-    }
-
-    const match = instr.match(/^(b[\S]*)\s*->0x([0-9a-f]{8})/);
-    if (match) {
-      const branchInstr = match[1];
-      if (branchInstr === 'bl') {
-        const blTarget = Number('0x' + match[2]);
-        let blName = frameworkMap[blTarget];
-        let relOffsetText = '';
-        if (!blName) {
-          const a = (blTarget - sectionAddr) & clearMsb;
-          relOffsetText = sprintf('0x%x ', a);
-          blName = relMap[a];
-        }
-        if (blName) {
-          instr += ` ___ ${match[2]} ${relOffsetText}${blName} ___`;
-        } else {
-          instr += ' UNRECOGNIZED BRANCH';
+    section.symbols.forEach((symbol) => {
+      symbol.name = formatSymbol(symbol.name, style);
+      (symbol.words || []).forEach((word) => {
+        if (word.kind === 'pointer') {
+          word.symbol = formatSymbol(word.symbol, style);
+          if (word.relocation) {
+            renameTarget(word.relocation);
+          }
         }
-      } else if (branchInstr !== 'blr') {
-        const targetAddr = Number('0x' + match[2]);
-        const targetName = branchDestinations[currRelFnOffset][targetAddr];
-        if (targetName) {
-          instr += ` ===> ${targetName}_${match[2]}`;
-        } else {
-          instr += ' UNRECOGNIZED BRANCH TARGET';
-        }
-      }
-    }
-
-    if (leaveBlankLine) {
-      leaveBlankLine = false;
-      stream.write('\n');
-    } else if (startingNewFn) {
-      startingNewFn = false;
-      if (offsetInSection > 0) {
-        stream.write('\n\n');
-      }
-
-      const fnName = relMap[offsetInSection] || 'UNKNOWN FUNCTION';
-
-      stream.write(EQUALS_DIVIDER);
-      stream.write(
-        sprintf(
-          `0x%x %08x %s:\n`,
-          offsetInSection,
-          (0x80000000 | sectionAddr) + offsetInSection,
-          fnName
-        )
-      );
-      stream.write(EQUALS_DIVIDER);
-    }
-
-    if (branchDestinations[currRelFnOffset][sectionAddr + offsetInSection]) {
-      stream.write(
-        sprintf(
-          '%s_%08x:\n',
-          branchDestinations[currRelFnOffset][sectionAddr + offsetInSection],
-          sectionAddr + offsetInSection
-        )
-      );
-    }
-
-    stream.write(`\t${instr}\n`);
-
-    if (match && match[1] === 'b') {
-      leaveBlankLine = true;
-    } else if (/^blr\s$/.test(instr)) {
-      if (branchDestinations[offsetInSection + 4]) {
-        startingNewFn = true;
-      } else {
-        leaveBlankLine = true;
-      }
-    }
+      });
+    });
   });
 
-  stream.end();
-}
-
-/**
- * Scans through the text section and keeps track of destination addresses of
- * different branch instructions.
- *
- * @param {number} sectionAddr Address of text section
- * @param {number} sectionLength Length of text section
- */
-function populateBranchDestinations(sectionAddr, sectionLength) {
-  const obj = {};
-
-  let currRelFnOffset = 0;
-
-  disassembleSection(sectionAddr, sectionLength, (instr, offsetInSection) => {
-    if (relMap[offsetInSection]) {
-      currRelFnOffset = offsetInSection;
-      obj[currRelFnOffset] = {};
-    }
-    const match = instr.match(/^(b[\S]*)\s*->0x([0-9a-f]{8})/);
-    if (!match) {
-      return;
-    }
-    const branchInstr = match[1];
-    if (branchInstr !== 'bl') {
-      const fnObj = obj[currRelFnOffset];
-      const bDestNum = Number('0x' + match[2]);
-      if (!fnObj[bDestNum]) {
-        fnObj[bDestNum] = { reachedFromBelow: false };
-        // console.log('2nd thing branching to same location');
-      }
-
-      if (!fnObj[bDestNum].reachedFromBelow) {
-        const currAddr = sectionAddr + offsetInSection;
-        if (currAddr > bDestNum) {
-          fnObj[bDestNum].reachedFromBelow = true;
-        }
-      }
-    }
+  model.xrefs.functions.forEach((fn) => {
+    fn.name = formatSymbol(fn.name, style);
+    fn.calls.forEach((call) => {
+      call.name = formatSymbol(call.name, style);
+    });
+    fn.callers.forEach((caller) => {
+      caller.caller = formatSymbol(caller.caller, style);
+    });
+    fn.pointers.forEach((pointer) => {
+      pointer.symbol = formatSymbol(pointer.symbol, style);
+    });
   });
-
-  Object.keys(obj).forEach((fnOffset) => {
-    const fnObj = obj[fnOffset];
-    const arr = Object.keys(fnObj).sort();
-    let addrForFinishFn = null;
-
-    if (arr.length > 0 && !fnObj[arr[arr.length - 1]].reachedFromBelow) {
-      addrForFinishFn = arr[arr.length - 1];
-    }
-
-    const resultObj = {};
-    let labelIndex = 0;
-    Object.keys(fnObj).forEach((bDest) => {
-      if (bDest === addrForFinishFn) {
-        resultObj[bDest] = 'FINISH_FUNCTION';
-      } else if (labelIndex < 26) {
-        resultObj[bDest] = labelNames[labelIndex];
-      } else {
-        const numChars = Math.floor(labelIndex / 26);
-        const character = String.fromCharCode(0x61 + (labelIndex % 26));
-        let label = '';
-        for (let i = 0; i < numChars; i++) {
-          label += character;
-        }
-        resultObj[bDest] = label;
-      }
-      labelIndex++;
+  model.xrefs.external.forEach((target) => {
+    target.name = formatSymbol(target.name, style);
+    target.callers.forEach((caller) => {
+      caller.caller = formatSymbol(caller.caller, style);
     });
-
-    branchDestinations[fnOffset] = resultObj;
   });
 }
 
 /**
- * Iterates through the text section, and notifies the callback of every
- * disassembled instruction.
+ * Processes the REL data in the RAM dump, and creates an output file with the
+ * disassembled instructions in the requested format.
  *
- * @param {number} sectionAddr Address of text section
- * @param {number} sectionLength Length of text section
- * @param {function} callback Notified after each instructions is disassembled.
- * Params are the instruction text and the offset to the instruction in the text
- * section.
+ * @param {object} options
+ * @param {Buffer} options.relBuffer Contains REL data from RAM dump.
+ * @param {number} options.relPtr Address of start of REL data in memory
+ * @param {string} options.relName Name of REL (Ex: d_a_midna)
+ * @param {object} options.relMap Data from parsed map file for REL
+ * @param {object} options.frameworkMap Symbols from all sections of
+ * frameworkF.map
+ * @param {array} options.frameworkSymbols Symbols from `getFrameworkSymbols`
+ * @param {object} options.smallDataBases Data from `findSmallDataBases`
+ * @param {Buffer} options.dumpBuffer Buffer of RAM dump, for reading values
+ * outside of the REL.
+ * @param {object} options.relocations Data from `readRelocations`
+ * @param {object} options.importMaps Maps and section tables of other RELs
+ * which this REL has relocations against, keyed by module id (see
+ * `readImportMaps`).
+ * @param {string} options.outputFile Filepath to write disassembled output to,
+ * or '-' to write to stdout.
+ * @param {string} options.overwrite What to do if the output file already
+ * exists: 'prompt', 'force', 'skip' or 'suffix'.
+ * @param {string} options.format Key of `outputFormats`. Defaults to 'text'.
+ * @param {string} options.names How to show symbol names in formats with
+ * `showsNames`: 'mangled' (default), 'demangled' or 'both'.
+ * @returns {string} Filepath which was written ('-' for stdout), or null if
+ * nothing was written.
  */
-function disassembleSection(sectionAddr, sectionLength, callback) {
-  const sectionOffset = sectionAddr - relPtr;
+async function processRel(options) {
+  const format = outputFormats[options.format || 'text'];
 
-  for (
-    let offsetInSection = 0;
-    offsetInSection < sectionLength;
-    offsetInSection += 4
-  ) {
-    const word = relBuffer.readUInt32BE(sectionOffset + offsetInSection);
-    let instr = disassemble(word, sectionAddr + offsetInSection);
+  const model = buildRelModel(options);
+  if (format.showsNames && options.names && options.names !== 'mangled') {
+    applyNameStyle(model, options.names);
+  }
 
-    callback(instr, offsetInSection);
+  if (model.sections.length > 0) {
+    return writeOutputFile(options.outputFile, options.overwrite, (stream) => {
+      format.write(stream, model);
+    });
   }
+  return null;
 }
 
 module.exports = {
+  outputFormats,
   processRel,
 };
@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Lists symbols at the addresses they have in memory. Symbols in a REL's map
+ * are offsets in their section, so they are rebased using the REL's section
+ * table.
+ */
+
+// Sections of frameworkF.map which contain code.
+const frameworkCodeSections = ['.init', '.text'];
+
+/**
+ * Lists every symbol from a REL map at its loaded address.
+ *
+ * @param {array} sections Sections from `readSectionTable`, with names from
+ * `assignSectionNames`. Symbols in sections whose name is not known are
+ * skipped.
+ * @param {object} relMap Data from parsed map file for REL
+ * @returns {array} List of { address, name, section, executable, size }
+ * sorted by address, where `section` is the name of the section.
+ */
+function getRelSymbols(sections, relMap) {
+  const symbols = [];
+
+  sections.forEach((section) => {
+    if (!section.name) {
+      return;
+    }
+    relMap.symbols
+      .filter(
+        (symbol) =>
+          symbol.section === section.name && symbol.address < section.length
+      )
+      .forEach((symbol) => {
+        symbols.push({
+          address: section.address + symbol.address,
+          name: symbol.name,
+          section: section.name,
+          executable: section.executable,
+          size: symbol.size,
+        });
+      });
+  });
+
+  return symbols.sort((a, b) => a.address - b.address);
+}
+
+/**
+ * Lists every symbol from frameworkF.map.
+ *
+ * @param {object} frameworkMap Parsed frameworkF.map from `readMap`. Not
+ * merged, since the section of each symbol is needed.
+ * @returns {array} List of { address, name, section, executable, size }
+ * sorted by address.
+ */
+function getFrameworkSymbols(frameworkMap) {
+  return frameworkMap.symbols
+    .map((symbol) => ({
+      address: symbol.address,
+      name: symbol.name,
+      section: symbol.section,
+      executable: frameworkCodeSections.includes(symbol.section),
+      size: symbol.size,
+    }))
+    .sort((a, b) => a.address - b.address);
+}
+
+/**
+ * Finds the symbol which contains an address, which does not have to be the
+ * start of the symbol (Ex: a field of a global, or a label in a function).
+ *
+ * @param {array} symbols Symbols from `getRelSymbols` or
+ * `getFrameworkSymbols`, sorted by address.
+ * @param {number} address Address to look up.
+ * @returns {object} Symbol which contains the address, or null if none do. A
+ * symbol with a size of 0 only contains its own address.
+ */
+function findContainingSymbol(symbols, address) {
+  // Index of the last symbol which starts at or before the address.
+  let index = -1;
+  let low = 0;
+  let high = symbols.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (symbols[mid].address <= address) {
+      index = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  // Labels with a size of 0 can be inside of a function, so the symbols
+  // before them are checked too, back to the first one with a size.
+  for (let i = index; i >= 0; i--) {
+    const symbol = symbols[i];
+    if (symbol.address === address || address < symbol.address + symbol.size) {
+      return symbol;
+    }
+    if (symbol.size > 0) {
+      break;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  findContainingSymbol,
+  getFrameworkSymbols,
+  getRelSymbols,
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Reads the import table and relocation data of a REL which is loaded in a RAM
+ * dump.
+ *
+ * When a REL is linked with OSLinkFixed (which is the case for REL version 3),
+ * any data after `fixSize` may be freed once linking is done. This is where the
+ * relocations against the REL itself and the main executable normally live, so
+ * those are often missing from RAM dumps.
+ */
+
+const { sprintf } = require('sprintf-js');
+
+// Used to clear most significant bit.
+const clearMsb = 0x7fffffff;
+
+const relocationTypes = {
+  R_PPC_NONE: 0,
+  R_PPC_ADDR32: 1,
+  R_PPC_ADDR24: 2,
+  R_PPC_ADDR16: 3,
+  R_PPC_ADDR16_LO: 4,
+  R_PPC_ADDR16_HI: 5,
+  R_PPC_ADDR16_HA: 6,
+  R_PPC_ADDR14: 7,
+  R_PPC_ADDR14_BRTAKEN: 8,
+  R_PPC_ADDR14_BRNTAKEN: 9,
+  R_PPC_REL24: 10,
+  R_PPC_REL14: 11,
+  R_PPC_REL14_BRTAKEN: 12,
+  R_PPC_REL14_BRNTAKEN: 13,
+  R_RVL_NONE: 201,
+  R_RVL_SECT: 202,
+  R_RVL_STOP: 203,
+};
+
+const relocationTypeNames = {};
+Object.keys(relocationTypes).forEach((name) => {
+  relocationTypeNames[relocationTypes[name]] = name;
+});
+
+/**
+ * Header fields may be offsets from the start of the REL or, once linked,
+ * addresses.
+ *
+ * @param {number} value Offset or address read from the REL.
+ * @param {number} relPtr Address of start of REL data in memory
+ * @returns {number} Address
+ */
+function toAddress(value, relPtr) {
+  return value >= 0x80000000 ? value : relPtr + value;
+}
+
+/**
+ * Reads the import table and every relocation which is still in memory.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump.
+ * @param {number} relPtr Address of start of REL data in memory
+ * @returns {object} Object with the following properties:
+ * - `imports`: List of { moduleId, address, relocations, status } for each
+ *   entry in the import table. Each relocation is { section, offset, type,
+ *   targetSection, addend } where `section` and `offset` are where the
+ *   patched value is. `status` is 'ok', 'freed' if the relocations were
+ *   after `fixSize`, or 'invalid' if reading stopped at a bad entry.
+ * - `warnings`: List of messages about relocation data which could not be
+ *   read.
+ */
+function readRelocations(dumpBuffer, relPtr) {
+  const relOffset = relPtr & clearMsb;
+  const numSections = dumpBuffer.readUInt32BE(relOffset + 0xc);
+  const sectionInfoAddr = toAddress(
+    dumpBuffer.readUInt32BE(relOffset + 0x10),
+    relPtr
+  );
+  const moduleVersion = dumpBuffer.readUInt32BE(relOffset + 0x1c);
+  const impAddr = toAddress(dumpBuffer.readUInt32BE(relOffset + 0x28), relPtr);
+  const impSize = dumpBuffer.readUInt32BE(relOffset + 0x2c);
+  const fixSize =
+    moduleVersion >= 3 ? dumpBuffer.readUInt32BE(relOffset + 0x48) : 0;
+
+  const sectionLengths = [];
+  for (let i = 0; i < numSections; i++) {
+    sectionLengths.push(
+      dumpBuffer.readUInt32BE((sectionInfoAddr & clearMsb) + i * 8 + 4)
+    );
+  }
+
+  const imports = [];
+  const warnings = [];
+
+  for (let impEntry = 0; impEntry < impSize; impEntry += 8) {
+    const moduleId = dumpBuffer.readUInt32BE((impAddr & clearMsb) + impEntry);
+    const address = toAddress(
+      dumpBuffer.readUInt32BE((impAddr & clearMsb) + impEntry + 4),
+      relPtr
+    );
+
+    const imp = { moduleId, address, relocations: [], status: 'ok' };
+    imports.push(imp);
+
+    if (fixSize > 0 && address >= relPtr + fixSize) {
+      imp.status = 'freed';
+      warnings.push(
+        sprintf(
+          'Relocations against module 0x%x are after fixSize and were likely freed after linking.',
+          moduleId
+        )
+      );
+      continue;
+    }
+
+    let entryAddr = address & clearMsb;
+    let section = 0;
+    let offset = 0;
+
+    while (entryAddr + 8 <= dumpBuffer.length) {
+      const offsetDelta = dumpBuffer.readUInt16BE(entryAddr);
+      const type = dumpBuffer.readUInt8(entryAddr + 2);
+      const targetSection = dumpBuffer.readUInt8(entryAddr + 3);
+      const addend = dumpBuffer.readUInt32BE(entryAddr + 4);
+      entryAddr += 8;
+
+      if (type === relocationTypes.R_RVL_STOP) {
+        break;
+      } else if (type === relocationTypes.R_RVL_SECT) {
+        section = targetSection;
+        offset = 0;
+        continue;
+      }
+
+      offset += offsetDelta;
+
+      if (
+        relocationTypeNames[type] == null ||
+        section <= 0 ||
+        section >= numSections ||
+        offset >= sectionLengths[section]
+      ) {
+        imp.status = 'invalid';
+        warnings.push(
+          sprintf(
+            'Stopped reading relocations against module 0x%x at invalid entry %08x.',
+            moduleId,
+            0x80000000 | (entryAddr - 8)
+          )
+        );
+        break;
+      }
+
+      if (type === relocationTypes.R_RVL_NONE) {
+        continue;
+      }
+
+      imp.relocations.push({
+        section,
+        offset,
+        type,
+        targetSection,
+        addend,
+      });
+    }
+  }
+
+  return { imports, warnings };
+}
+
+/**
+ * Returns the name of a relocation type.
+ *
+ * @param {number} type Relocation type (Ex: 6)
+ * @returns {string} Name of type (Ex: 'R_PPC_ADDR16_HA')
+ */
+function getRelocationTypeName(type) {
+  return relocationTypeNames[type] || sprintf('R_UNKNOWN_%d', type);
+}
+
+/**
+ * Returns the operator which is used in assembly for the half of an address
+ * that a relocation type patches.
+ *
+ * @param {number} type Relocation type
+ * @returns {string} '@ha', '@h', '@l', or '' if the whole address is used.
+ */
+function getRelocationSuffix(type) {
+  if (type === relocationTypes.R_PPC_ADDR16_HA) {
+    return '@ha';
+  } else if (type === relocationTypes.R_PPC_ADDR16_HI) {
+    return '@h';
+  } else if (type === relocationTypes.R_PPC_ADDR16_LO) {
+    return '@l';
+  }
+  return '';
+}
+
+/**
+ * Determines if a relocation type patches the target of a branch.
+ *
+ * @param {number} type Relocation type
+ * @returns {boolean} true if branch relocation, else false
+ */
+function isBranchRelocation(type) {
+  return (
+    type === relocationTypes.R_PPC_REL24 ||
+    type === relocationTypes.R_PPC_ADDR24 ||
+    (type >= relocationTypes.R_PPC_ADDR14 &&
+      type <= relocationTypes.R_PPC_ADDR14_BRNTAKEN) ||
+    (type >= relocationTypes.R_PPC_REL14 &&
+      type <= relocationTypes.R_PPC_REL14_BRNTAKEN)
+  );
+}
+
+module.exports = {
+  getRelocationSuffix,
+  getRelocationTypeName,
+  isBranchRelocation,
+  readRelocations,
+  relocationTypes,
+  toAddress,
+};
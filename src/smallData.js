@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Finds the bases of the small data areas. Globals in .sdata/.sbss are
+ * accessed relative to r13 (`_SDA_BASE_`), and constants in .sdata2/.sbss2
+ * relative to r2 (`_SDA2_BASE_`). Both registers are set once at boot by
+ * `__init_registers` and never change.
+ */
+
+// Used to clear most significant bit.
+const clearMsb = 0x7fffffff;
+
+const OPCODE_ADDI = 14;
+const OPCODE_ADDIS = 15;
+const OPCODE_ORI = 24;
+const BLR = 0x4e800020;
+
+// `__init_registers` is only a few instructions long.
+const maxInitRegistersLength = 0x40;
+
+/**
+ * Reads the values which `__init_registers` loads into r2 and r13 from the
+ * code in the RAM dump.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump.
+ * @param {number} address Address of `__init_registers`.
+ * @returns {object} Keys are register numbers and values are what the
+ * function loads into them.
+ */
+function decodeInitRegisters(dumpBuffer, address) {
+  const values = {};
+  const start = address & clearMsb;
+  const end = Math.min(start + maxInitRegistersLength, dumpBuffer.length);
+
+  for (let offset = start; offset + 4 <= end; offset += 4) {
+    const word = dumpBuffer.readUInt32BE(offset);
+    if (word === BLR) {
+      break;
+    }
+    const opcode = word >>> 26;
+    const rD = (word >>> 21) & 0x1f;
+    const rA = (word >>> 16) & 0x1f;
+    const imm = word & 0xffff;
+
+    if (opcode === OPCODE_ADDIS && rA === 0) {
+      values[rD] = (imm << 16) >>> 0;
+    } else if (opcode === OPCODE_ORI && values[rD] != null) {
+      values[rA] = (values[rD] | imm) >>> 0;
+    } else if (opcode === OPCODE_ADDI && rA !== 0 && values[rA] != null) {
+      const signed = imm & 0x8000 ? imm - 0x10000 : imm;
+      values[rD] = (values[rA] + signed) >>> 0;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Determines `_SDA_BASE_` and `_SDA2_BASE_` for a RAM dump. The values for
+ * the version are used when they are known, otherwise they are read from
+ * `__init_registers`.
+ *
+ * @param {object} version Version of the game the RAM dump is from.
+ * @param {Buffer} dumpBuffer Buffer of RAM dump.
+ * @param {object} frameworkMap Symbols from all sections of frameworkF.map
+ * @returns {object} Object with `sdaBase` (r13), `sda2Base` (r2) and
+ * `warnings`. A base is null if it could not be found.
+ */
+function findSmallDataBases(version, dumpBuffer, frameworkMap) {
+  let sdaBase = version.sdaBase;
+  let sda2Base = version.sda2Base;
+
+  if (sdaBase == null || sda2Base == null) {
+    const initRegisters = Object.keys(frameworkMap).find(
+      (address) => frameworkMap[address] === '__init_registers'
+    );
+    if (initRegisters != null) {
+      const values = decodeInitRegisters(dumpBuffer, Number(initRegisters));
+      sdaBase = sdaBase != null ? sdaBase : values[13];
+      sda2Base = sda2Base != null ? sda2Base : values[2];
+    }
+  }
+
+  const warnings = [];
+  [
+    ['_SDA_BASE_', sdaBase, 'r13'],
+    ['_SDA2_BASE_', sda2Base, 'r2'],
+  ].forEach(([name, value, register]) => {
+    if (value == null) {
+      warnings.push(
+        `Could not find ${name}, so accesses relative to ${register} are not annotated.`
+      );
+    }
+  });
+
+  return {
+    sdaBase: sdaBase != null ? sdaBase : null,
+    sda2Base: sda2Base != null ? sda2Base : null,
+    warnings,
+  };
+}
+
+module.exports = {
+  findSmallDataBases,
+};
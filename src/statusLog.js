@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Prints status messages, such as progress and which files were written.
+ * They go to stdout, unless the disassembly itself is written to stdout, in
+ * which case they go to stderr so the disassembly can be piped.
+ */
+
+const util = require('util');
+
+let statusStream = process.stdout;
+
+/**
+ * Sends every status message after this to stderr.
+ */
+function sendStatusToStderr() {
+  statusStream = process.stderr;
+}
+
+/**
+ * Prints a status message. Takes the same arguments as `console.log`.
+ *
+ * @param {...*} args Message, or format string and values.
+ */
+function logStatus(...args) {
+  statusStream.write(`${util.format(...args)}\n`);
+}
+
+module.exports = {
+  logStatus,
+  sendStatusToStderr,
+};
@@ -0,0 +1,231 @@
+'use strict';
+
+/**
+ * Writes files which import a loaded REL and its symbols into other tools.
+ * The Ghidra and IDA scripts create a memory block for every section of the
+ * REL at its loaded address (unless that memory already exists, such as when
+ * the whole RAM dump was loaded), mark code and data, and name every symbol
+ * from the REL map and frameworkF.map. The Dolphin map only has the symbols.
+ */
+
+const { sprintf } = require('sprintf-js');
+
+const GHIDRA_SCRIPT = `
+from java.io import ByteArrayInputStream
+from java.util import Base64
+from ghidra.app.cmd.disassemble import DisassembleCommand
+from ghidra.program.model.address import AddressSet
+from ghidra.program.model.symbol import SourceType
+
+memory = currentProgram.getMemory()
+
+for name, start, length, executable, bss, data in SECTIONS:
+    address = toAddr(start)
+    if memory.contains(address):
+        print("%s: memory already exists at %s, not creating a block" % (name, address))
+    else:
+        if bss:
+            block = memory.createUninitializedBlock(name, address, length, False)
+        else:
+            stream = ByteArrayInputStream(Base64.getDecoder().decode(data))
+            block = memory.createInitializedBlock(name, address, stream, length, monitor, False)
+        block.setRead(True)
+        block.setWrite(not executable)
+        block.setExecute(executable)
+    if executable:
+        end = toAddr(start + length - 1)
+        DisassembleCommand(AddressSet(address, end), None, True).applyTo(currentProgram, monitor)
+
+def name_symbol(start, name, is_function):
+    address = toAddr(start)
+    if not memory.contains(address):
+        return
+    try:
+        if is_function:
+            function = getFunctionAt(address) or createFunction(address, name)
+            if function:
+                function.setName(name, SourceType.IMPORTED)
+                return
+        createLabel(address, name, True, SourceType.IMPORTED)
+    except Exception as e:
+        print("Could not name %s at %s: %s" % (name, address, e))
+
+for start, name, is_function in SYMBOLS:
+    name_symbol(start, name, is_function)
+`;
+
+const IDA_SCRIPT = `
+import base64
+import ida_auto
+import ida_bytes
+import ida_funcs
+import ida_name
+import ida_segment
+import idc
+
+for name, start, length, executable, bss, data in SECTIONS:
+    if ida_segment.getseg(start):
+        print("%s: segment already exists at %08x, not creating one" % (name, start))
+    else:
+        seg_class = "CODE" if executable else ("BSS" if bss else "DATA")
+        ida_segment.add_segm(0, start, start + length, name, seg_class)
+        if not bss:
+            ida_bytes.put_bytes(start, base64.b64decode(data))
+    if executable:
+        for address in range(start, start + length, 4):
+            idc.create_insn(address)
+
+for start, name, is_function in SYMBOLS:
+    if not ida_bytes.is_mapped(start):
+        continue
+    if is_function:
+        ida_funcs.add_func(start)
+    if not ida_name.set_name(start, name, ida_name.SN_NOWARN | ida_name.SN_NOCHECK):
+        print("Could not name %s at %08x" % (name, start))
+
+ida_auto.auto_wait()
+`;
+
+/**
+ * Formats a string as a Python string literal.
+ *
+ * @param {string} text Text to format.
+ * @returns {string} Python string literal.
+ */
+function toPythonString(text) {
+  return JSON.stringify(text);
+}
+
+/**
+ * Writes the data which both scripts use: a comment describing what the
+ * script is for, the sections of the REL and every symbol.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} data See `writeGhidraScript`.
+ * @param {string} usage How to run the script.
+ */
+function writeScriptData(stream, data, usage) {
+  stream.write(
+    sprintf(
+      '# Imports %s.rel (loaded at %08x) and the symbols from its map and\n# frameworkF.map.\n# %s\n\n',
+      data.relName,
+      data.relPtr,
+      usage
+    )
+  );
+
+  stream.write('# (name, address, length, executable, bss, base64 data)\n');
+  stream.write('SECTIONS = [\n');
+  data.sections.forEach((section) => {
+    stream.write(
+      sprintf(
+        '    (%s, 0x%08x, 0x%x, %s, %s, %s),\n',
+        toPythonString(section.name),
+        section.address,
+        section.length,
+        section.executable ? 'True' : 'False',
+        section.bss ? 'True' : 'False',
+        section.bytes
+          ? toPythonString(section.bytes.toString('base64'))
+          : 'None'
+      )
+    );
+  });
+  stream.write(']\n\n');
+
+  stream.write('# (address, name, is_function)\n');
+  stream.write('SYMBOLS = [\n');
+  data.symbols.forEach((symbol) => {
+    stream.write(
+      sprintf(
+        '    (0x%08x, %s, %s),\n',
+        symbol.address,
+        toPythonString(symbol.name),
+        symbol.executable ? 'True' : 'False'
+      )
+    );
+  });
+  stream.write(']\n');
+}
+
+/**
+ * Writes a Ghidra Python script.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} data Object with `relName`, `relPtr`, `sections` (list of
+ * { name, address, length, executable, bss, bytes } where `bytes` is a Buffer,
+ * or null for bss) and `symbols` (list of { address, name, executable } from
+ * the REL map and frameworkF.map).
+ */
+function writeGhidraScript(stream, data) {
+  writeScriptData(
+    stream,
+    data,
+    'Run it from the Script Manager with a PowerPC (Gekko/Broadway) program open.'
+  );
+  stream.write(GHIDRA_SCRIPT);
+}
+
+/**
+ * Writes an IDAPython script.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} data See `writeGhidraScript`.
+ */
+function writeIdaScript(stream, data) {
+  writeScriptData(
+    stream,
+    data,
+    'Run it with File > Script file... in a PowerPC database.'
+  );
+  stream.write(IDA_SCRIPT);
+}
+
+/**
+ * Writes a symbol map which Dolphin's debugger can load, in the same format
+ * Dolphin uses when it saves one. Symbols are grouped by section, and
+ * Dolphin treats the symbols in .init and .text as functions.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} data See `writeGhidraScript`. Symbols also need `section`
+ * and `size`.
+ */
+function writeDolphinMap(stream, data) {
+  const sections = new Map();
+  data.symbols.forEach((symbol) => {
+    if (!sections.has(symbol.section)) {
+      sections.set(symbol.section, []);
+    }
+    sections.get(symbol.section).push(symbol);
+  });
+
+  let isFirst = true;
+  sections.forEach((symbols, sectionName) => {
+    stream.write(`${isFirst ? '' : '\n'}${sectionName} section layout\n`);
+    isFirst = false;
+    symbols
+      .sort((a, b) => a.address - b.address)
+      .forEach((symbol) => {
+        stream.write(
+          sprintf(
+            '%08x %08x %08x 0 %s\n',
+            symbol.address,
+            symbol.size,
+            symbol.address,
+            symbol.name
+          )
+        );
+      });
+  });
+}
+
+// Keys are the values of `--to`.
+const exportFormats = {
+  dolphin: { extension: '-dolphin.map', write: writeDolphinMap },
+  ghidra: { extension: '-ghidra.py', write: writeGhidraScript },
+  ida: { extension: '-ida.py', write: writeIdaScript },
+};
+
+module.exports = {
+  exportFormats,
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Caches parsed map files on disk, so each map file is only parsed again when
+ * it changes. The cache of a version is a directory named `index` next to its
+ * map files, with one JSON file per map file. It only saves parsing; lookups
+ * by address are still done on the symbols of each map (see
+ * `findContainingSymbol`).
+ *
+ * Reading a map through the cache writes to it, so `--no-cache` skips it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { readMap } = require('./mapReader');
+const { getMapPath } = require('./versions');
+
+// Increase when `readMap` changes what it returns, so old caches are rebuilt.
+const formatVersion = 1;
+
+/**
+ * Returns the directory of the cache of a version.
+ *
+ * @param {object} version Version of the game.
+ * @returns {string} Path of the directory.
+ */
+function getIndexDir(version) {
+  return path.join(path.dirname(getMapPath(version, 'frameworkF')), 'index');
+}
+
+/**
+ * Returns the SHA-1 hash of a file's contents.
+ *
+ * @param {string} filePath Path of the file.
+ * @returns {string} Hash as hex.
+ */
+function hashFile(filePath) {
+  return crypto
+    .createHash('sha1')
+    .update(fs.readFileSync(filePath))
+    .digest('hex');
+}
+
+/**
+ * Reads the cached entry of a map file.
+ *
+ * @param {string} entryPath Path of the cache file.
+ * @returns {object} Entry with `formatVersion`, `mtimeMs`, `size`, `hash`
+ * and `map`, or null if there is no usable entry.
+ */
+function readEntry(entryPath) {
+  if (!fs.existsSync(entryPath)) {
+    return null;
+  }
+  try {
+    const entry = fs.readJsonSync(entryPath);
+    return entry.formatVersion === formatVersion ? entry : null;
+  } catch (e) {
+    // A cache file which can not be read is rebuilt.
+    return null;
+  }
+}
+
+/**
+ * Parses a map file and writes it to the cache.
+ *
+ * @param {string} mapPath Path of the map file.
+ * @param {string} entryPath Path of the cache file.
+ * @param {object} stats Stats of the map file.
+ * @param {string} hash Hash of the map file, or null to compute it.
+ * @returns {object} Parsed map file from `readMap`.
+ */
+async function writeEntry(mapPath, entryPath, stats, hash) {
+  const map = await readMap(mapPath);
+  fs.outputJsonSync(entryPath, {
+    formatVersion,
+    mtimeMs: stats.mtimeMs,
+    size: stats.size,
+    hash: hash || hashFile(mapPath),
+    map,
+  });
+  return map;
+}
+
+/**
+ * Reads a map file through the cache. The cached copy is used if the map
+ * file has the same modified time and size, or else the same contents, as
+ * when it was cached. Otherwise the map file is parsed and cached again.
+ *
+ * @param {object} version Version of the game.
+ * @param {string} mapName Name of map without extension (Ex: 'frameworkF').
+ * @returns {object} Parsed map file, as returned by `readMap`.
+ */
+async function readIndexedMap(version, mapName) {
+  const mapPath = getMapPath(version, mapName);
+  if (!fs.existsSync(mapPath)) {
+    // Throws the error for a missing map file.
+    return readMap(mapPath);
+  }
+
+  const entryPath = path.join(getIndexDir(version), `${mapName}.json`);
+  const stats = fs.statSync(mapPath);
+  const entry = readEntry(entryPath);
+  if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+    return entry.map;
+  }
+
+  // The modified time changes when the file is copied, so compare contents
+  // before parsing it again.
+  const hash = hashFile(mapPath);
+  if (entry && entry.hash === hash) {
+    fs.outputJsonSync(entryPath, {
+      ...entry,
+      mtimeMs: stats.mtimeMs,
+      size: stats.size,
+    });
+    return entry.map;
+  }
+
+  return writeEntry(mapPath, entryPath, stats, hash);
+}
+
+/**
+ * Deletes the cache of a version and builds it again from every map file.
+ *
+ * @param {object} version Version of the game.
+ * @returns {number} Number of map files which were cached.
+ */
+async function rebuildSymbolIndex(version) {
+  const indexDir = getIndexDir(version);
+  const mapDir = path.dirname(indexDir);
+  fs.removeSync(indexDir);
+
+  const mapFiles = fs.existsSync(mapDir)
+    ? fs.readdirSync(mapDir).filter((file) => file.endsWith('.map'))
+    : [];
+  for (const file of mapFiles) {
+    const mapPath = path.join(mapDir, file);
+    const entryPath = path.join(indexDir, file.replace(/\.map$/, '.json'));
+    await writeEntry(mapPath, entryPath, fs.statSync(mapPath), null);
+  }
+
+  return mapFiles.length;
+}
+
+module.exports = {
+  getIndexDir,
+  readIndexedMap,
+  rebuildSymbolIndex,
+};
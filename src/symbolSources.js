@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * Finds the symbols of the main executable (frameworkF) and of each REL in
+ * one or more sources: the game's map files, the config directory of a
+ * decompilation project, or a symbol map saved by Dolphin. Each source reads
+ * symbols in the shape of `readMap`, and the results of every source are
+ * merged.
+ *
+ * When more than one source names the same address in the same section, the
+ * source which comes first in the list from `getSymbolSources` wins.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { readDecompSymbols } = require('./decompSymbols');
+const { readDolphinMap, readMap } = require('./mapReader');
+const RecognizedError = require('./RecognizedError');
+const { readIndexedMap } = require('./symbolIndex');
+const { getMapPath } = require('./versions');
+
+/**
+ * Creates a source which reads the game's map files.
+ *
+ * @param {object} version Version of the game.
+ * @param {boolean} useCache Whether to read them through the cache from
+ * `readIndexedMap`, which writes to it. Otherwise they are parsed every time.
+ * @returns {object} Source with `describe` and `read`.
+ */
+function createMapFileSource(version, useCache) {
+  return {
+    describe: (mapName) => getMapPath(version, mapName),
+    read: async (mapName) => {
+      const mapPath = getMapPath(version, mapName);
+      if (!fs.existsSync(mapPath)) {
+        return null;
+      }
+      return useCache ? readIndexedMap(version, mapName) : readMap(mapPath);
+    },
+  };
+}
+
+/**
+ * Creates a source which reads symbols.txt and splits.txt from the config
+ * directory of a decompilation project.
+ *
+ * @param {string} configDir Config directory of the version (Ex:
+ * 'config/GZ2E01').
+ * @returns {object} Source with `describe` and `read`.
+ */
+function createDecompSource(configDir) {
+  return {
+    describe: (mapName) =>
+      mapName === 'frameworkF'
+        ? path.join(configDir, 'symbols.txt')
+        : path.join(configDir, 'rels', mapName, 'symbols.txt'),
+    read: async (mapName) => readDecompSymbols(configDir, mapName),
+  };
+}
+
+/**
+ * Creates a source which reads a symbol map saved by Dolphin. Since its
+ * addresses are absolute, it only has symbols for frameworkF, which is where
+ * symbols at absolute addresses are looked up. Symbols of a REL in it are
+ * only right if the REL is loaded at the same address in the RAM dump.
+ *
+ * @param {string} mapPath Filepath of the map.
+ * @returns {object} Source with `describe` and `read`.
+ */
+function createDolphinMapSource(mapPath) {
+  let map = null;
+  return {
+    describe: () => mapPath,
+    read: async (mapName) => {
+      if (mapName !== 'frameworkF') {
+        return null;
+      }
+      if (!map) {
+        map = readDolphinMap(mapPath);
+      }
+      return map;
+    },
+  };
+}
+
+/**
+ * Builds the list of sources to read symbols from, in order of precedence.
+ *
+ * @param {object} version Version of the game.
+ * @param {array} paths Paths passed with `--symbols`, in the order they were
+ * passed. A directory is the config directory of a decompilation project,
+ * and a file is a Dolphin symbol map.
+ * @param {boolean} [useCache=true] Whether to read the game's map files
+ * through the cache in `map/<version>/index`.
+ * @returns {array} Sources for `readSymbols`: one for each path, followed by
+ * the game's map files.
+ */
+function getSymbolSources(version, paths, useCache = true) {
+  const sources = paths.map((sourcePath) => {
+    if (!fs.existsSync(sourcePath)) {
+      throw new RecognizedError(
+        `Symbol source does not exist: '${sourcePath}'`
+      );
+    }
+    if (fs.statSync(sourcePath).isDirectory()) {
+      if (!fs.existsSync(path.join(sourcePath, 'symbols.txt'))) {
+        throw new RecognizedError(
+          `No symbols.txt in '${sourcePath}'. Pass the config directory of the version (Ex: config/GZ2E01).`
+        );
+      }
+      return createDecompSource(sourcePath);
+    }
+    return createDolphinMapSource(sourcePath);
+  });
+
+  sources.push(createMapFileSource(version, useCache));
+  return sources;
+}
+
+/**
+ * Merges symbols from more than one source.
+ *
+ * @param {array} maps Data in the shape of `readMap`, in order of
+ * precedence.
+ * @returns {object} Merged data. Sections are in the order of the map with
+ * the most sections, since it is the most likely to have them in the order
+ * of the section table, followed by any others. A symbol is left out if an
+ * earlier map has a symbol at the same address in the same section.
+ * `memoryMap` is from the first map which has one.
+ */
+function mergeMaps(maps) {
+  const sections = {};
+  const symbols = [];
+  // Keys are `section:address` of symbols which have been added.
+  const named = new Set();
+
+  const mostSections = maps.reduce((most, map) =>
+    Object.keys(map.sections).length > Object.keys(most.sections).length
+      ? map
+      : most
+  );
+  Object.keys(mostSections.sections).forEach((sectionName) => {
+    sections[sectionName] = {};
+  });
+
+  maps.forEach((map) => {
+    Object.keys(map.sections).forEach((sectionName) => {
+      const sectionMap = map.sections[sectionName];
+      if (!sections[sectionName]) {
+        sections[sectionName] = {};
+      }
+      Object.keys(sectionMap).forEach((address) => {
+        if (!named.has(`${sectionName}:${address}`)) {
+          sections[sectionName][address] = sectionMap[address];
+        }
+      });
+    });
+
+    const added = [];
+    map.symbols.forEach((symbol) => {
+      const key = `${symbol.section}:${symbol.address}`;
+      if (!named.has(key)) {
+        symbols.push(symbol);
+        added.push(key);
+      }
+    });
+    // Added after the whole map, since one map can have several symbols at
+    // the same address.
+    added.forEach((key) => named.add(key));
+  });
+
+  const withMemoryMap = maps.find((map) => map.memoryMap.length > 0);
+  return {
+    sections,
+    symbols,
+    memoryMap: withMemoryMap ? withMemoryMap.memoryMap : [],
+  };
+}
+
+/**
+ * Reads the symbols of the main executable or of a REL from every source.
+ *
+ * @param {array} sources Sources from `getSymbolSources`.
+ * @param {string} mapName 'frameworkF' for the main executable, or the name
+ * of a REL (Ex: 'd_a_midna').
+ * @returns {object} Data in the shape of `readMap`, or null if no source has
+ * symbols for it.
+ */
+async function readSymbols(sources, mapName) {
+  const maps = [];
+  for (const source of sources) {
+    const map = await source.read(mapName);
+    if (map) {
+      maps.push(map);
+    }
+  }
+
+  if (maps.length === 0) {
+    return null;
+  }
+  return maps.length === 1 ? maps[0] : mergeMaps(maps);
+}
+
+/**
+ * Reads the symbols of the main executable or of a REL from every source,
+ * which at least one of them must have.
+ *
+ * @param {array} sources Sources from `getSymbolSources`.
+ * @param {string} mapName 'frameworkF' for the main executable, or the name
+ * of a REL (Ex: 'd_a_midna').
+ * @returns {object} Data in the shape of `readMap`.
+ */
+async function readRequiredSymbols(sources, mapName) {
+  const map = await readSymbols(sources, mapName);
+  if (!map) {
+    const paths = sources.map((source) => `  ${source.describe(mapName)}`);
+    throw new RecognizedError(
+      `No symbols found for '${mapName}' in:\n${paths.join(
+        '\n'
+      )}\nDid you add the map files according to the README?`
+    );
+  }
+  return map;
+}
+
+module.exports = {
+  getSymbolSources,
+  readRequiredSymbols,
+  readSymbols,
+};
@@ -0,0 +1,463 @@
+'use strict';
+
+/**
+ * Writes the human-readable text format of a disassembled REL.
+ */
+
+const { sprintf } = require('sprintf-js');
+const { getRelocationSuffix, isBranchRelocation } = require('./relocations');
+
+const EQUALS_DIVIDER = '==================================================\n';
+const HASH_DIVIDER = '##################################################\n';
+
+/**
+ * Writes a REL in the text format.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} model Data from `buildRelModel`
+ */
+function writeText(stream, model) {
+  stream.write(`${model.name}.rel\n`);
+
+  model.sections.forEach((section) => {
+    writeSectionHeader(stream, section);
+
+    if (section.type === 'text') {
+      writeTextSection(stream, section, model.xrefs);
+    } else if (section.type === 'bss') {
+      writeBssSection(stream, section);
+    } else {
+      writeDataSection(stream, section);
+    }
+  });
+}
+
+/**
+ * Writes the header which is shown before the contents of each section.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} section Section from `buildRelModel`
+ */
+function writeSectionHeader(stream, section) {
+  stream.write('\n');
+  stream.write(HASH_DIVIDER);
+  stream.write(
+    sprintf(
+      'Section %d (%s) %08x length 0x%x\n',
+      section.index,
+      section.name || 'unknown',
+      0x80000000 | section.address,
+      section.length
+    )
+  );
+  stream.write(HASH_DIVIDER);
+  stream.write('\n');
+}
+
+/**
+ * Builds the annotation which is shown next to an instruction or word whose
+ * value was patched by a relocation.
+ *
+ * @param {object} relocation Relocation from `describeRelocation`
+ * @returns {string} Annotation text (Ex: '&g_dComIfG_gameInfo@ha')
+ */
+function formatRelocation(relocation) {
+  const { target } = relocation;
+  const suffix = getRelocationSuffix(relocation.type);
+  if (target.name) {
+    return `&${target.name}${suffix} (${target.location})`;
+  }
+  return `${target.location}${suffix}`;
+}
+
+/**
+ * Builds the annotation of the address an instruction builds or accesses
+ * together with an earlier `lis`, or relative to r13 or r2. Nothing is shown
+ * when a relocation of the instruction already names the same address.
+ *
+ * @param {object} instruction Instruction from `buildRelModel`
+ * @returns {string} Annotation text (Ex: '8044f04c g_dComIfG_gameInfo+0x280'
+ * or '804587cc @1234 (3.5)'), or null if there is nothing to show.
+ */
+function formatReference(instruction) {
+  const { reference } = instruction;
+  if (!reference) {
+    return null;
+  }
+  const isRelocated = instruction.relocations.some(
+    (relocation) =>
+      relocation.target.name && relocation.target.address === reference.address
+  );
+  if (isRelocated) {
+    return null;
+  }
+  let text = sprintf('%08x', reference.address);
+  if (reference.symbol) {
+    text += ` ${reference.symbol}`;
+  }
+  if (reference.float != null) {
+    text += ` (${formatFloat(reference.float)})`;
+  }
+  return text;
+}
+
+/**
+ * Builds the text of an instruction, including what it branches to or which
+ * relocations patched it.
+ *
+ * @param {object} instruction Instruction from `buildRelModel`
+ * @returns {string} Instruction text
+ */
+function formatInstruction(instruction) {
+  const { mnemonic, branchTarget } = instruction;
+  let text = `${mnemonic}\t${instruction.operands}`;
+
+  if (branchTarget == null) {
+    instruction.relocations.forEach((relocation) => {
+      text += ` ___ ${formatRelocation(relocation)} ___`;
+    });
+    const reference = formatReference(instruction);
+    if (reference) {
+      text += ` ___ ${reference} ___`;
+    }
+    const { jumpTable } = instruction;
+    if (jumpTable) {
+      text += sprintf(' ___ jump table %08x', jumpTable.address);
+      text += jumpTable.symbol ? ` ${jumpTable.symbol} ___` : ' ___';
+    }
+  } else if (mnemonic === 'bl') {
+    if (instruction.symbol) {
+      const locationText = instruction.location
+        ? instruction.location + ' '
+        : '';
+      text += sprintf(
+        ' ___ %08x %s%s ___',
+        branchTarget,
+        locationText,
+        instruction.symbol
+      );
+    } else {
+      text += ' UNRECOGNIZED BRANCH';
+    }
+  } else if (mnemonic !== 'blr') {
+    const branchRelocation = instruction.relocations.find((relocation) =>
+      isBranchRelocation(relocation.type)
+    );
+    if (instruction.targetLabel) {
+      text += ` ===> ${instruction.targetLabel}`;
+    } else if (branchRelocation) {
+      text += ` ___ ${formatRelocation(branchRelocation)} ___`;
+    } else {
+      text += ' UNRECOGNIZED BRANCH TARGET';
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Groups the cases of a jump table which go to the same place, in the order
+ * the targets first appear.
+ *
+ * @param {object} jumpTable Jump table of an instruction from `buildRelModel`
+ * @returns {array} List of { values, target, label }
+ */
+function groupJumpTableCases(jumpTable) {
+  const groups = [];
+  jumpTable.cases.forEach(({ value, target, label }) => {
+    const group = groups.find((g) => g.target === target);
+    if (group) {
+      group.values.push(value);
+    } else {
+      groups.push({ values: [value], target, label });
+    }
+  });
+  return groups;
+}
+
+/**
+ * Builds the lines of the XREFS comment which is shown above a function.
+ *
+ * @param {object} fnXrefs Entry for the function from `buildXrefs`
+ * @returns {array} Lines of the comment, which is empty if nothing refers to
+ * the function and it does not call or branch to anything.
+ */
+function getXrefsLines(fnXrefs) {
+  const lines = [];
+  fnXrefs.callers.forEach((caller) => {
+    lines.push(
+      sprintf(
+        '%s %08x in %s',
+        caller.kind === 'tail' ? 'tail called from' : 'called from',
+        caller.address,
+        caller.caller
+      )
+    );
+  });
+  fnXrefs.pointers.forEach((pointer) => {
+    lines.push(
+      sprintf('pointed to by %08x %s', pointer.address, pointer.symbol || '')
+    );
+  });
+  fnXrefs.calls.forEach((call) => {
+    lines.push(
+      sprintf(
+        '%s %s (%08x) at %08x',
+        call.kind === 'tail' ? 'tail calls' : 'calls',
+        call.name || 'UNKNOWN',
+        call.target,
+        call.address
+      )
+    );
+  });
+  fnXrefs.labels.forEach((label) => {
+    lines.push(
+      sprintf(
+        '%s <- %s',
+        label.label,
+        label.branches.map((branch) => sprintf('%08x', branch)).join(', ')
+      )
+    );
+  });
+
+  if (lines.length === 0) {
+    return lines;
+  }
+  return ['// XREFS', ...lines.map((line) => `//   ${line.trim()}`)];
+}
+
+/**
+ * Writes the disassembled instructions of a text section.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} section Text section from `buildRelModel`
+ * @param {object} xrefs Index from `buildXrefs`
+ */
+function writeTextSection(stream, section, xrefs) {
+  const functionsByOffset = {};
+  section.functions.forEach((fn) => {
+    functionsByOffset[fn.offset] = fn;
+  });
+  const xrefsByAddress = {};
+  xrefs.functions.forEach((fnXrefs) => {
+    xrefsByAddress[fnXrefs.address] = fnXrefs;
+  });
+
+  let startingNewFn = true;
+  let leaveBlankLine = false;
+
+  section.functions.forEach((fn) => {
+    fn.instructions.forEach((instruction) => {
+      const { offset } = instruction;
+
+      if (leaveBlankLine) {
+        leaveBlankLine = false;
+        stream.write('\n');
+      } else if (startingNewFn) {
+        startingNewFn = false;
+        if (offset > 0) {
+          stream.write('\n\n');
+        }
+
+        const fnName =
+          (functionsByOffset[offset] && functionsByOffset[offset].name) ||
+          'UNKNOWN FUNCTION';
+
+        const fnXrefs = xrefsByAddress[instruction.address];
+        if (fnXrefs) {
+          getXrefsLines(fnXrefs).forEach((line) => {
+            stream.write(`${line}\n`);
+          });
+        }
+
+        stream.write(EQUALS_DIVIDER);
+        stream.write(
+          sprintf(
+            `0x%x %08x %s:\n`,
+            offset,
+            (0x80000000 | section.address) + offset,
+            fnName
+          )
+        );
+        stream.write(EQUALS_DIVIDER);
+      }
+
+      if (instruction.label) {
+        stream.write(`${instruction.label}:\n`);
+      }
+
+      const text = formatInstruction(instruction);
+      stream.write(`\t${text}\n`);
+
+      if (instruction.jumpTable) {
+        groupJumpTableCases(instruction.jumpTable).forEach((group) => {
+          stream.write(
+            sprintf(
+              '\t\tcase %s ===> %s\n',
+              group.values.join(', '),
+              group.label || sprintf('%08x', group.target)
+            )
+          );
+        });
+      }
+
+      if (
+        (instruction.mnemonic === 'b' && instruction.branchTarget != null) ||
+        instruction.jumpTable
+      ) {
+        leaveBlankLine = true;
+      } else if (/^blr\s$/.test(text)) {
+        if (functionsByOffset[offset + 4]) {
+          startingNewFn = true;
+        } else {
+          leaveBlankLine = true;
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Writes a hex and ASCII view of a data section, split up by the symbols from
+ * the REL map, along with any words which look like pointers or floats.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} section Data section from `buildRelModel`
+ */
+function writeDataSection(stream, section) {
+  section.symbols.forEach((symbol, i) => {
+    if (symbol.name) {
+      if (i > 0) {
+        stream.write('\n');
+      }
+      stream.write(
+        sprintf(
+          '0x%x %08x %s:\n',
+          symbol.offset,
+          (0x80000000 | section.address) + symbol.offset,
+          symbol.name
+        )
+      );
+    }
+
+    getDataRows(symbol).forEach((row) => {
+      stream.write(`\t${row.text}\n`);
+      row.words.forEach((word) => {
+        stream.write(sprintf('\t\t%08x %s\n', word.address, formatWord(word)));
+      });
+    });
+  });
+}
+
+/**
+ * Splits the data of a symbol into rows of 16 bytes.
+ *
+ * @param {object} symbol Data symbol from `buildRelModel`
+ * @returns {array} List of { address, text, words } where `text` is the
+ * address followed by a hex and ASCII view of the row, and `words` are the
+ * interpreted words in the row.
+ */
+function getDataRows(symbol) {
+  const { bytes } = symbol;
+  const rows = [];
+
+  for (let rowStart = 0; rowStart < bytes.length; rowStart += 16) {
+    const rowEnd = Math.min(rowStart + 16, bytes.length);
+    const rowAddr = symbol.address + rowStart;
+
+    let hexText = '';
+    let asciiText = '';
+    for (let offset = rowStart; offset < rowEnd; offset++) {
+      const byte = bytes[offset];
+      if (offset > rowStart && (offset - rowStart) % 4 === 0) {
+        hexText += ' ';
+      }
+      hexText += sprintf('%02x', byte);
+      asciiText +=
+        byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.';
+    }
+
+    rows.push({
+      address: rowAddr,
+      text: sprintf('%08x  %-35s  %s', rowAddr, hexText, asciiText),
+      words: symbol.words.filter(
+        (word) =>
+          word.address >= rowAddr && word.address < symbol.address + rowEnd
+      ),
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Describes a word from a data section which looks like a pointer or float.
+ *
+ * @param {object} word Interpreted word from `buildRelModel`
+ * @returns {string} Text describing the word.
+ */
+function formatWord(word) {
+  if (word.kind === 'float') {
+    return `float ${formatFloat(word.float)}`;
+  } else if (word.relocation) {
+    return sprintf('-> %08x %s', word.value, formatRelocation(word.relocation));
+  }
+  return sprintf('-> %08x%s', word.value, word.symbol ? ' ' + word.symbol : '');
+}
+
+/**
+ * Formats a single-precision float with the fewest digits which still
+ * represent it exactly.
+ *
+ * @param {number} value Float read from a buffer.
+ * @returns {string} Formatted float (Ex: '0.25', '3.1415927')
+ */
+function formatFloat(value) {
+  for (let precision = 1; precision < 9; precision++) {
+    const text = value.toPrecision(precision);
+    if (Math.fround(Number(text)) === value) {
+      return String(Number(text));
+    }
+  }
+  return String(value);
+}
+
+/**
+ * Writes the size of a bss section and of each symbol in it.
+ *
+ * @param {WriteStream} stream Stream of the output file.
+ * @param {object} section Bss section from `buildRelModel`
+ */
+function writeBssSection(stream, section) {
+  stream.write(
+    sprintf(
+      '\t%d %s, 0x%x bytes\n\n',
+      section.symbols.length,
+      section.symbols.length === 1 ? 'symbol' : 'symbols',
+      section.length
+    )
+  );
+
+  section.symbols.forEach((symbol) => {
+    stream.write(
+      sprintf(
+        '\t0x%x %08x %s (0x%x bytes)\n',
+        symbol.offset,
+        (0x80000000 | section.address) + symbol.offset,
+        symbol.name,
+        symbol.size
+      )
+    );
+  });
+}
+
+module.exports = {
+  formatFloat,
+  formatInstruction,
+  formatReference,
+  formatRelocation,
+  formatWord,
+  getDataRows,
+  groupJumpTableCases,
+  writeText,
+};
@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Determines which build of the game a RAM dump came from. The disc header
+ * (game ID, maker code, disc number and revision) is copied to the start of
+ * MEM1 when the game boots, so it is always at the start of the dump.
+ */
+
+const path = require('path');
+const { sprintf } = require('sprintf-js');
+const RecognizedError = require('./RecognizedError');
+
+// Offsets of fields within a DynamicModuleControl, which is 0x2c bytes long.
+// The class is the same in every version.
+const dmcFields = {
+  linkCount: 0x4,
+  doLinkCount: 0x6,
+  module: 0x10,
+  bss: 0x14,
+  name: 0x1c,
+  resourceType: 0x20,
+  checksum: 0x22,
+  size: 0x24,
+};
+
+// Describes each known build of the game.
+//
+// `name` is also the name of the subdirectory of `output` which is used for
+// that version, and `mapDir` is the subdirectory of `map`.
+//
+// `dmcOffset` is the offset in the RAM dump of the c_dylink DMC array, which is
+// an array of DynamicModuleControl pointers (word). Not all indexes are
+// actually used. `dmcLength` is the number of words in the array. These are
+// null when they have not been found for that version yet.
+//
+// `sdaBase` and `sda2Base` are `_SDA_BASE_` (r13) and `_SDA2_BASE_` (r2).
+// When null, they are read from `__init_registers` in the RAM dump instead.
+const versions = [
+  {
+    name: 'gc.us',
+    gameId: 'GZ2E01',
+    revision: 0,
+    platform: 'gc',
+    readable: 'GameCube USA',
+    mapDir: 'gc.us',
+    dmcOffset: 0x3f0f50,
+    dmcLength: 0x318,
+    sdaBase: 0x80458580,
+    sda2Base: 0x80459a00,
+    dmcFields,
+  },
+  {
+    name: 'gc.eu',
+    gameId: 'GZ2P01',
+    revision: 0,
+    platform: 'gc',
+    readable: 'GameCube PAL',
+    mapDir: 'gc.eu',
+    dmcOffset: null,
+    dmcLength: null,
+    sdaBase: null,
+    sda2Base: null,
+    dmcFields,
+  },
+  {
+    name: 'gc.jp',
+    gameId: 'GZ2J01',
+    revision: 0,
+    platform: 'gc',
+    readable: 'GameCube JPN',
+    mapDir: 'gc.jp',
+    dmcOffset: null,
+    dmcLength: null,
+    sdaBase: null,
+    sda2Base: null,
+    dmcFields,
+  },
+  {
+    name: 'wii.us0',
+    gameId: 'RZDE01',
+    revision: 0,
+    platform: 'wii',
+    readable: 'Wii USA 1.0',
+    mapDir: 'wii.us0',
+    dmcOffset: null,
+    dmcLength: null,
+    sdaBase: null,
+    sda2Base: null,
+    dmcFields,
+  },
+  {
+    name: 'wii.us2',
+    gameId: 'RZDE01',
+    revision: 2,
+    platform: 'wii',
+    readable: 'Wii USA 1.2',
+    mapDir: 'wii.us2',
+    dmcOffset: null,
+    dmcLength: null,
+    sdaBase: null,
+    sda2Base: null,
+    dmcFields,
+  },
+  {
+    name: 'wii.eu',
+    gameId: 'RZDP01',
+    revision: 0,
+    platform: 'wii',
+    readable: 'Wii PAL',
+    mapDir: 'wii.eu',
+    dmcOffset: null,
+    dmcLength: null,
+    sdaBase: null,
+    sda2Base: null,
+    dmcFields,
+  },
+  {
+    name: 'wii.jp',
+    gameId: 'RZDJ01',
+    revision: 0,
+    platform: 'wii',
+    readable: 'Wii JPN',
+    mapDir: 'wii.jp',
+    dmcOffset: null,
+    dmcLength: null,
+    sdaBase: null,
+    sda2Base: null,
+    dmcFields,
+  },
+  {
+    name: 'wii.kr',
+    gameId: 'RZDK01',
+    revision: 0,
+    platform: 'wii',
+    readable: 'Wii KOR',
+    mapDir: 'wii.kr',
+    dmcOffset: null,
+    dmcLength: null,
+    sdaBase: null,
+    sda2Base: null,
+    dmcFields,
+  },
+];
+
+/**
+ * Reads the game ID (game code + maker code) and disc revision from the start
+ * of the RAM dump.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump.
+ * @returns {object} Object with `gameId` (Ex: 'GZ2E01') and `revision`.
+ */
+function readDiscHeader(dumpBuffer) {
+  if (dumpBuffer.length < 8) {
+    throw new RecognizedError(
+      'RAM dump is too small to contain a disc header.'
+    );
+  }
+
+  let gameId = '';
+  for (let i = 0; i < 6; i++) {
+    const charCode = dumpBuffer[i];
+    // Anything outside of printable ASCII means this is not a disc header.
+    gameId +=
+      charCode >= 0x20 && charCode < 0x7f ? String.fromCharCode(charCode) : '?';
+  }
+
+  return {
+    gameId,
+    revision: dumpBuffer[7],
+  };
+}
+
+/**
+ * Determines the version of the game which the RAM dump was taken from.
+ *
+ * @param {Buffer} dumpBuffer Buffer of RAM dump.
+ * @returns {object} Data for the version (Ex: { name: 'gc.us', ... })
+ */
+function detectVersion(dumpBuffer) {
+  const { gameId, revision } = readDiscHeader(dumpBuffer);
+
+  const version = versions.find(
+    (v) => v.gameId === gameId && v.revision === revision
+  );
+
+  if (!version) {
+    throw new RecognizedError(
+      sprintf(
+        "Unknown game build '%s' (revision %d) in RAM dump.\nSupported builds: %s",
+        gameId,
+        revision,
+        versions.map((v) => `${v.gameId} rev ${v.revision}`).join(', ')
+      )
+    );
+  }
+
+  return version;
+}
+
+/**
+ * Returns the filepath of a map file for a version.
+ *
+ * @param {object} version Version of the game.
+ * @param {string} mapName Name of map without extension (Ex: 'frameworkF').
+ * @returns {string} Filepath of map file.
+ */
+function getMapPath(version, mapName) {
+  return path.join(__dirname, '..', 'map', version.mapDir, `${mapName}.map`);
+}
+
+module.exports = {
+  detectVersion,
+  getMapPath,
+  readDiscHeader,
+};
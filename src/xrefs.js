@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * Builds a cross-reference index of a REL: what each function calls, what
+ * calls it, which data points to it, and what branches to each label. Calls
+ * out of the REL (to frameworkF or other RELs) are indexed by their target.
+ */
+
+const { sprintf } = require('sprintf-js');
+const { getBranchKind } = require('./controlFlow');
+
+/**
+ * Returns the name of a function for showing in the index.
+ *
+ * @param {object} fn Function from `buildRelModel`
+ * @returns {string} Name, or the address if the function is not in the map.
+ */
+function getFunctionName(fn) {
+  return fn.name || sprintf('fn_%08x', fn.address);
+}
+
+/**
+ * Builds the cross-reference index.
+ *
+ * @param {object} model Data from `buildRelModel`
+ * @returns {object} Object with:
+ * - `functions`: List with an entry for each function in the REL, in address
+ *   order, with `name`, `address`, `calls`, `callers`, `pointers` and
+ *   `labels`.
+ *   - `calls`: List of { address, target, name, kind } for each call, where
+ *     `address` is the call site, `name` is what is called (or null) and
+ *     `kind` is 'call' (`bl`) or 'tail' (`b` out of the function).
+ *   - `callers`: List of { address, caller, kind } for each call to the
+ *     function, where `caller` is the name of the calling function.
+ *   - `pointers`: List of { address, symbol } for each data word which points
+ *     to the function, where `symbol` is the data symbol it is in.
+ *   - `labels`: List of { label, address, branches } for each label in the
+ *     function, where `branches` is the addresses which branch to it.
+ * - `external`: List of { address, name, callers } for each call target
+ *   outside of the REL, in address order.
+ */
+function buildXrefs(model) {
+  const functions = [];
+  // Keys are addresses of functions in the REL.
+  const functionsByAddress = {};
+  // Keys are addresses of call targets outside of the REL.
+  const externalByAddress = {};
+
+  const textSections = model.sections.filter(
+    (section) => section.type === 'text'
+  );
+
+  textSections.forEach((section) => {
+    section.functions.forEach((fn) => {
+      const entry = {
+        name: getFunctionName(fn),
+        address: fn.address,
+        calls: [],
+        callers: [],
+        pointers: [],
+        labels: [],
+      };
+      functions.push(entry);
+      functionsByAddress[fn.address] = entry;
+    });
+  });
+
+  textSections.forEach((section) => {
+    section.functions.forEach((fn) => {
+      const entry = functionsByAddress[fn.address];
+      const start = fn.address;
+      const end = start + fn.instructions.length * 4;
+      // Keys are addresses of labels in the function.
+      const labels = {};
+
+      const addBranch = (label, target, source) => {
+        if (!label) {
+          return;
+        }
+        if (!labels[target]) {
+          labels[target] = { label, address: target, branches: [] };
+        }
+        labels[target].branches.push(source);
+      };
+
+      fn.instructions.forEach((instruction) => {
+        const { address, branchTarget } = instruction;
+        const isCall = instruction.mnemonic === 'bl';
+        const isTailCall =
+          getBranchKind(instruction) === 'jump' &&
+          branchTarget != null &&
+          (branchTarget < start || branchTarget >= end);
+
+        if ((isCall || isTailCall) && branchTarget != null) {
+          const callee = functionsByAddress[branchTarget];
+          const kind = isCall ? 'call' : 'tail';
+          const name = callee ? callee.name : instruction.symbol;
+          entry.calls.push({ address, target: branchTarget, name, kind });
+
+          if (callee) {
+            callee.callers.push({ address, caller: entry.name, kind });
+          } else if (!textSections.some((s) => isInSection(s, branchTarget))) {
+            if (!externalByAddress[branchTarget]) {
+              externalByAddress[branchTarget] = {
+                address: branchTarget,
+                name: instruction.symbol,
+                callers: [],
+              };
+            }
+            externalByAddress[branchTarget].callers.push({
+              address,
+              caller: entry.name,
+              kind,
+            });
+          }
+        } else if (branchTarget != null) {
+          addBranch(instruction.targetLabel, branchTarget, address);
+        }
+
+        if (instruction.jumpTable) {
+          instruction.jumpTable.cases.forEach((c) => {
+            addBranch(c.label, c.target, address);
+          });
+        }
+      });
+
+      entry.labels = Object.values(labels).sort(
+        (a, b) => a.address - b.address
+      );
+    });
+  });
+
+  model.sections
+    .filter((section) => section.type === 'data')
+    .forEach((section) => {
+      section.symbols.forEach((symbol) => {
+        symbol.words
+          .filter((word) => word.kind === 'pointer')
+          .forEach((word) => {
+            const target = word.relocation
+              ? word.relocation.target.address
+              : word.value;
+            const fn = functionsByAddress[target];
+            if (fn) {
+              fn.pointers.push({
+                address: word.address,
+                symbol: describeDataLocation(symbol, word.address),
+              });
+            }
+          });
+      });
+    });
+
+  return {
+    functions,
+    external: Object.values(externalByAddress).sort(
+      (a, b) => a.address - b.address
+    ),
+  };
+}
+
+/**
+ * Checks whether an address is in a section.
+ *
+ * @param {object} section Section from `buildRelModel`
+ * @param {number} address Address to check.
+ * @returns {boolean} true if the section contains the address.
+ */
+function isInSection(section, address) {
+  return (
+    address >= section.address && address < section.address + section.length
+  );
+}
+
+/**
+ * Names a location in a data symbol.
+ *
+ * @param {object} symbol Data symbol from `buildRelModel`
+ * @param {number} address Address in the symbol.
+ * @returns {string} Name of the symbol, with the offset into it if not at
+ * the start (Ex: 'l_daMidna_Method+0x8'), or null if the symbol has no name.
+ */
+function describeDataLocation(symbol, address) {
+  if (!symbol.name) {
+    return null;
+  }
+  const offset = address - symbol.address;
+  return offset === 0 ? symbol.name : sprintf('%s+0x%x', symbol.name, offset);
+}
+
+module.exports = {
+  buildXrefs,
+};